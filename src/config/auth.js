@@ -0,0 +1,56 @@
+/**
+ * Authentication configuration (42 OAuth + sessions)
+ * All values can be overridden through environment variables.
+ */
+
+const INTRA_API_URL = process.env.INTRA_API_URL || 'https://api.intra.42.fr';
+
+module.exports = {
+  // 42 OAuth application
+  clientId: process.env.INTRA_CLIENT_ID,
+  clientSecret: process.env.INTRA_CLIENT_SECRET,
+  redirectUri: process.env.INTRA_REDIRECT_URI,
+  scope: process.env.INTRA_SCOPE || 'public',
+
+  // 42 endpoints - token URL is configurable so a local stand-in can be used in tests
+  apiUrl: INTRA_API_URL,
+  authorizeUrl: process.env.INTRA_AUTHORIZE_URL || `${INTRA_API_URL}/oauth/authorize`,
+  tokenUrl: process.env.INTRA_TOKEN_URL || `${INTRA_API_URL}/oauth/token`,
+
+  // Where to send the browser after a successful login (token is passed in the URL fragment).
+  // When empty, /auth/callback answers with JSON instead.
+  frontendRedirectUrl: process.env.FRONTEND_REDIRECT_URL || null,
+
+  // Secret used to sign the OAuth "state" parameter
+  stateSecret: process.env.SESSION_SECRET || process.env.INTRA_CLIENT_SECRET,
+  stateTtlMs: 10 * 60 * 1000,
+
+  // Logins granted the admin role (comma separated)
+  adminLogins: (process.env.ADMIN_LOGINS || '')
+    .split(',')
+    .map(login => login.trim())
+    .filter(Boolean),
+
+  // Roles allowed to read data of any campus (others are limited to their own campus)
+  crossCampusRoles: (process.env.CROSS_CAMPUS_ROLES || 'staff,admin')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean),
+
+  // Session lifetime
+  // Sliding window: a session expires after this much inactivity (extended on every request)
+  sessionTtlMs: (parseInt(process.env.SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000,
+  // Absolute maximum lifetime: neither activity nor refresh can extend a session past this
+  sessionMaxLifetimeMs: (parseInt(process.env.SESSION_MAX_LIFETIME_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+  // Refresh token lifetime (capped by the absolute maximum lifetime)
+  refreshTokenTtlMs: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 14) * 24 * 60 * 60 * 1000,
+  // In-memory cache of validated sessions, bans and API keys (per instance)
+  authCacheMax: parseInt(process.env.AUTH_CACHE_MAX, 10) || 5000,
+  authCacheTtlMs: (parseInt(process.env.AUTH_CACHE_TTL_SECONDS, 10) || 30) * 1000,
+  // Minimum delay between two lastActivity writes of the same session / API key
+  activityWriteIntervalMs: (parseInt(process.env.SESSION_ACTIVITY_WRITE_SECONDS, 10) || 60) * 1000,
+
+  // A rotated refresh token presented again within this grace period is rejected
+  // without revoking the session (covers concurrent refreshes from the same client)
+  refreshReuseGraceMs: 30 * 1000
+};
@@ -0,0 +1,20 @@
+/**
+ * Response cache configuration (stale-while-revalidate)
+ * All values can be overridden through environment variables.
+ */
+
+module.exports = {
+  // Entry store: "memory" (per instance) or "mongo" (DB2, shared by all instances)
+  store: process.env.CACHE_STORE === 'mongo' ? 'mongo' : 'memory',
+  // Max entries of the memory store
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+  // How long a loader may hold the cross-instance lock before others compute anyway
+  lockTimeoutMs: 30 * 1000,
+
+  dashboard: {
+    // Served as is while younger than this...
+    ttlMs: (parseInt(process.env.DASHBOARD_CACHE_TTL_SECONDS, 10) || 300) * 1000,
+    // ...then served stale (and refreshed in the background) until this age
+    staleTtlMs: (parseInt(process.env.DASHBOARD_CACHE_STALE_SECONDS, 10) || 3600) * 1000
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * EventLog write buffer and retention configuration
+ * All values can be overridden through environment variables.
+ */
+
+/**
+ * Parse "eventType=days,eventType=days" into { eventType: days }
+ */
+function parseRetentionOverrides(value) {
+  const overrides = {};
+  (value || '').split(',').forEach(pair => {
+    const [eventType, days] = pair.split('=').map(part => part && part.trim());
+    const parsed = parseInt(days, 10);
+    if (eventType && !isNaN(parsed) && parsed > 0) {
+      overrides[eventType] = parsed;
+    }
+  });
+  return overrides;
+}
+
+module.exports = {
+  // Flush when this many events are queued...
+  maxBatchSize: parseInt(process.env.EVENTLOG_BATCH_SIZE, 10) || 100,
+  // ...or at least this often
+  flushIntervalMs: parseInt(process.env.EVENTLOG_FLUSH_INTERVAL_MS, 10) || 2000,
+  // Hard cap of queued events (protects memory when DB2 is down)
+  maxQueueSize: parseInt(process.env.EVENTLOG_MAX_QUEUE, 10) || 10000,
+  // What to drop when the queue is full: "oldest" or "newest"
+  dropPolicy: process.env.EVENTLOG_DROP_POLICY === 'newest' ? 'newest' : 'oldest',
+
+  retention: {
+    // Days an event is kept before being archived and deleted
+    defaultDays: parseInt(process.env.EVENTLOG_RETENTION_DAYS, 10) || 180,
+    // Per event type, e.g. "dashboard_view=30,security_session_anomaly=730"
+    overrides: parseRetentionOverrides(process.env.EVENTLOG_RETENTION_OVERRIDES),
+    // Days restored events are kept (they are not archived again)
+    restoredDays: parseInt(process.env.EVENTLOG_RESTORED_RETENTION_DAYS, 10) || 7,
+    // Write expired events to gzipped NDJSON files before deleting them
+    archive: process.env.EVENTLOG_ARCHIVE !== 'false',
+    archiveDir: process.env.EVENTLOG_ARCHIVE_DIR || 'archive/eventlog',
+    // Events per archive file / delete batch
+    batchSize: 10000,
+    // Run the sweeper in-process every N hours (0 = only via `npm run eventlog:sweep`)
+    sweepIntervalHours: parseInt(process.env.EVENTLOG_RETENTION_SWEEP_HOURS, 10) || 0
+  }
+};
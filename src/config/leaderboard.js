@@ -0,0 +1,19 @@
+/**
+ * Leaderboard snapshot configuration
+ * All values can be overridden through environment variables.
+ */
+
+module.exports = {
+  snapshots: {
+    // Take a daily snapshot in-process (a DB2 lock lets a single instance compute it)
+    enabled: process.env.LEADERBOARD_SNAPSHOTS !== 'false',
+    // How often the scheduler checks whether today's snapshot is complete
+    checkIntervalMs: 60 * 60 * 1000,
+    // Lifetime of the snapshot lock (another instance may take over a run that outlasts it)
+    lockTimeoutMs: 60 * 60 * 1000,
+    // Days of snapshots kept (older days are deleted after each snapshot)
+    retentionDays: parseInt(process.env.LEADERBOARD_SNAPSHOT_RETENTION_DAYS, 10) || 400,
+    // Documents per bulk write
+    batchSize: 1000
+  }
+};
@@ -0,0 +1,13 @@
+/**
+ * Structured (JSON lines) logging configuration
+ */
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+module.exports = {
+  LEVELS,
+  // Lowest level written: debug, info, warn or error
+  level: LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info',
+  // Incoming request header used to propagate a request ID
+  requestIdHeader: 'X-Request-Id'
+};
@@ -0,0 +1,23 @@
+/**
+ * Privacy configuration for client IPs and user agents stored in DB2
+ * (Session.usedIps / lastIp / flags, EventLog.ip / eventData, ApiKey.lastUsedIp)
+ */
+
+const IP_MODES = ['off', 'truncate', 'hmac', 'drop'];
+
+const ipMode = IP_MODES.includes(process.env.PRIVACY_IP_MODE) ? process.env.PRIVACY_IP_MODE : 'off';
+const ipHmacSecret = process.env.PRIVACY_IP_HMAC_SECRET || null;
+
+// An unkeyed hash of an IP is trivially reversible: refuse to start without a key
+if (ipMode === 'hmac' && !ipHmacSecret) {
+  throw new Error('PRIVACY_IP_MODE=hmac requires PRIVACY_IP_HMAC_SECRET');
+}
+
+module.exports = {
+  IP_MODES,
+  // "off" (raw IPs), "truncate" (IPv4 /24, IPv6 /48), "hmac" (keyed pseudonym) or "drop"
+  ipMode,
+  ipHmacSecret,
+  // "full" or "drop"
+  userAgentMode: process.env.PRIVACY_USER_AGENT_MODE === 'drop' ? 'drop' : 'full'
+};
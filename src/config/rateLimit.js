@@ -0,0 +1,38 @@
+/**
+ * Rate limiting configuration
+ * All values can be overridden through environment variables.
+ */
+
+module.exports = {
+  // Counter store: "memory" (per instance) or "mongo" (DB2, shared by all instances)
+  store: process.env.RATE_LIMIT_STORE === 'mongo' ? 'mongo' : 'memory',
+
+  // Fixed window length
+  windowMs: (parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS, 10) || 60) * 1000,
+
+  // Points per window, by requester type (a request costs 1 point unless weighted below)
+  points: {
+    user: parseInt(process.env.RATE_LIMIT_USER_POINTS, 10) || 120,
+    apiKey: parseInt(process.env.RATE_LIMIT_API_KEY_POINTS, 10) || 600,
+    ip: parseInt(process.env.RATE_LIMIT_IP_POINTS, 10) || 60
+  },
+
+  // GET /api/students sorts that need $lookup over other collections
+  heavyStudentSorts: [
+    'project_count', 'cheat_count', 'cheat_date', 'godfather_count',
+    'children_count', 'log_time', 'feedback_count', 'avg_rating'
+  ],
+
+  // Cost weights: first matching rule wins
+  routeCosts: [
+    { path: /^\/api\/dashboard\/?$/, cost: 5 },
+    { path: /^\/api\/students\/?$/, cost: (req, config) => (config.heavyStudentSorts.includes(req.query.sortBy) ? 10 : 2) },
+    { path: /^\/api\/students\/wrapped\//, cost: 5 },
+    { path: /^\/api\/students\/[^/]+$/, cost: 2 },
+    { path: /^\/api\/leaderboards\//, cost: 5 },
+    { path: /^\/api\/campuses\/compare\/?$/, cost: 10 },
+    { path: /^\/api\/pools\//, cost: 5 },
+    { path: /^\/api\/projects\/?$/, cost: 2 },
+    { path: /^\/api\/projects\//, cost: 5 }
+  ]
+};
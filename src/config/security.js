@@ -0,0 +1,28 @@
+/**
+ * Session anomaly detection configuration
+ * Every rule has an action: "flag" (mark the session and log), "revoke"
+ * (delete the session and log) or "off".
+ */
+
+function parseAction(value, fallback) {
+  return ['flag', 'revoke', 'off'].includes(value) ? value : fallback;
+}
+
+module.exports = {
+  sessionAnomaly: {
+    // More distinct IPs than this on a single session
+    maxDistinctIps: {
+      limit: parseInt(process.env.SESSION_ANOMALY_MAX_IPS, 10) || 5,
+      action: parseAction(process.env.SESSION_ANOMALY_MAX_IPS_ACTION, 'flag')
+    },
+    // Client IP changes again less than N minutes after the previous change
+    ipChange: {
+      windowMinutes: parseInt(process.env.SESSION_ANOMALY_IP_CHANGE_MINUTES, 10) || 10,
+      action: parseAction(process.env.SESSION_ANOMALY_IP_CHANGE_ACTION, 'flag')
+    },
+    // User agent differs from the one of the previous request
+    userAgentChange: {
+      action: parseAction(process.env.SESSION_ANOMALY_UA_CHANGE_ACTION, 'flag')
+    }
+  }
+};
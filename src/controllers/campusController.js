@@ -0,0 +1,171 @@
+const { Student, Project, LocationStats, Campus } = require('../models');
+const { buildLogDayStages } = require('./leaderboardController');
+const { isValidTimeZone } = require('../utils/dateRange');
+const LRUCache = require('../utils/lruCache');
+
+// 42 grade given to a project on cheating
+const CHEAT_SCORE = -42;
+
+// Timezone of campuses without a registry entry
+const DEFAULT_TIME_ZONE = 'UTC';
+
+// Campus timezones per instance (other instances see registry edits after the TTL)
+const timeZoneCache = new LRUCache({ max: 1000, ttlMs: 5 * 60 * 1000 });
+
+/**
+ * Public fields of a campus registry entry
+ */
+function formatCampus(campus) {
+  return {
+    id: campus.id,
+    name: campus.name,
+    city: campus.city,
+    country: campus.country,
+    timezone: campus.timezone,
+    active: campus.active
+  };
+}
+
+/**
+ * Timezone of a campus' month, week and day boundaries
+ * @param {number|null} campusId - Campus ID (null = every campus: UTC)
+ * @returns {Promise<string>} - IANA timezone
+ */
+async function getCampusTimeZone(campusId) {
+  if (campusId === null || campusId === undefined) {
+    return DEFAULT_TIME_ZONE;
+  }
+
+  let timeZone = timeZoneCache.get(campusId);
+  if (timeZone === undefined) {
+    const campus = await Campus.findOne({ id: campusId }).select('timezone').lean();
+    timeZone = campus && isValidTimeZone(campus.timezone) ? campus.timezone : DEFAULT_TIME_ZONE;
+    timeZoneCache.set(campusId, timeZone);
+  }
+  return timeZone;
+}
+
+/**
+ * Forget the cached timezone of a campus after a registry edit
+ */
+function invalidateCampusTimeZone(campusId) {
+  timeZoneCache.delete(campusId);
+}
+
+/**
+ * Students counted as active on a campus (the grade distribution population)
+ */
+function buildActiveStudentMatch(campusMatch) {
+  return { ...campusMatch, 'active?': true, 'staff?': { $ne: true } };
+}
+
+/**
+ * Active students per grade
+ * @param {Object} campusMatch - {} for every campus, or { campusId }
+ * @returns {Promise<Array<{name: string, value: number}>>}
+ */
+async function getGradeDistribution(campusMatch) {
+  return Student.aggregate([
+    { $match: { ...buildActiveStudentMatch(campusMatch), grade: { $ne: null } } },
+    {
+      $group: {
+        _id: '$grade',
+        value: { $sum: 1 }
+      }
+    },
+    {
+      $project: {
+        _id: 0,
+        name: '$_id',
+        value: 1
+      }
+    }
+  ]);
+}
+
+/**
+ * Ratio rounded to 4 decimals, null without a denominator
+ */
+function ratio(value, total) {
+  return total > 0 ? Math.round((value / total) * 10000) / 10000 : null;
+}
+
+/**
+ * Comparable statistics of a campus
+ * Students, grades and levels are current; projects, cheats and log time cover the range.
+ * Totals are divided by the active student count.
+ * @param {number} campusId
+ * @param {{from: Date, to: Date, timeZone: string}} range - Resolved window in the campus timezone (see utils/dateRange.js)
+ * @returns {Promise<Object>}
+ */
+async function computeCampusStats(campusId, range) {
+  const campusMatch = { campusId };
+
+  const [students, gradeDistribution, projects, logTime] = await Promise.all([
+    Student.aggregate([
+      { $match: buildActiveStudentMatch(campusMatch) },
+      { $group: { _id: null, count: { $sum: 1 }, averageLevel: { $avg: '$level' } } }
+    ]),
+    getGradeDistribution(campusMatch),
+    Project.aggregate([
+      {
+        $match: {
+          ...campusMatch,
+          status: { $in: ['success', 'fail'] },
+          date: { $gte: range.from.toISOString(), $lt: range.to.toISOString() }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          evaluated: { $sum: 1 },
+          passed: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } },
+          cheats: { $sum: { $cond: [{ $eq: ['$score', CHEAT_SCORE] }, 1, 0] } }
+        }
+      }
+    ]),
+    LocationStats.aggregate([
+      { $match: campusMatch },
+      ...buildLogDayStages(range),
+      { $group: { _id: null, seconds: { $sum: '$seconds' } } }
+    ]).allowDiskUse(true)
+  ]);
+
+  const activeStudents = students[0]?.count || 0;
+  const averageLevel = students[0]?.averageLevel;
+  const { evaluated = 0, passed = 0, cheats = 0 } = projects[0] || {};
+  const logSeconds = logTime[0]?.seconds || 0;
+
+  return {
+    campusId,
+    activeStudents,
+    averageLevel: typeof averageLevel === 'number' ? Math.round(averageLevel * 100) / 100 : null,
+    gradeDistribution: gradeDistribution
+      .sort((a, b) => b.value - a.value)
+      .map(grade => ({ ...grade, share: ratio(grade.value, activeStudents) })),
+    projects: {
+      evaluated,
+      passed,
+      passRate: ratio(passed, evaluated),
+      passedPerActiveStudent: ratio(passed, activeStudents)
+    },
+    cheats: {
+      count: cheats,
+      perActiveStudent: ratio(cheats, activeStudents)
+    },
+    logTime: {
+      totalSeconds: logSeconds,
+      secondsPerActiveStudent: activeStudents > 0 ? Math.round(logSeconds / activeStudents) : null
+    }
+  };
+}
+
+module.exports = {
+  CHEAT_SCORE,
+  DEFAULT_TIME_ZONE,
+  formatCampus,
+  getCampusTimeZone,
+  invalidateCampusTimeZone,
+  getGradeDistribution,
+  computeCampusStats
+};
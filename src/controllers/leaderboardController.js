@@ -0,0 +1,469 @@
+const { Student, Project, LocationStats, Feedback, ProjectReview, LeaderboardSnapshot, LeaderboardSnapshotDay } = require('../models');
+const { getMonthKeys, getRangeDays } = require('../utils/dateRange');
+
+// Students with fewer ratings in the window are not ranked on avg_rating
+const MIN_RATINGS = 3;
+
+/**
+ * Leaderboard metrics
+ * - snapshot: current value of a Student field, the period filter does not apply
+ * - period: aggregated over the window (all time without one)
+ */
+const METRICS = {
+  level: { kind: 'snapshot', field: 'level' },
+  wallet: { kind: 'snapshot', field: 'wallet' },
+  correction_point: { kind: 'snapshot', field: 'correction_point' },
+  projects: { kind: 'period' },
+  log_time: { kind: 'period' },
+  reviews_given: { kind: 'period' },
+  avg_rating: { kind: 'period' }
+};
+
+// Metrics stored in the daily snapshots (campus ranks, all time)
+const SNAPSHOT_METRICS = ['level', 'wallet', 'correction_point', 'projects'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Student filter of a leaderboard population (staff and test accounts are never ranked)
+ * @param {{campusId: number|null, pool: {month: string, year: string}|null}} filters
+ */
+function buildStudentMatch({ campusId, pool }) {
+  const match = { 'staff?': { $ne: true }, is_test: { $ne: true } };
+  if (campusId !== null) {
+    match.campusId = campusId;
+  }
+  if (pool) {
+    match.pool_month = pool.month;
+    match.pool_year = pool.year;
+  }
+  return match;
+}
+
+/**
+ * Login filter applying the population to collections other than students
+ * Pools are small: their logins are listed. Otherwise the (few) staff and test
+ * accounts are excluded.
+ * @returns {Promise<Object>} - Condition on a login field
+ */
+async function buildLoginFilter(filters) {
+  if (filters.pool) {
+    return { $in: await Student.distinct('login', buildStudentMatch(filters)) };
+  }
+
+  const excluded = { $or: [{ 'staff?': true }, { is_test: true }] };
+  if (filters.campusId !== null) {
+    excluded.campusId = filters.campusId;
+  }
+  return { $nin: await Student.distinct('login', excluded) };
+}
+
+/**
+ * Date string condition of a window (Project / Feedback / ProjectReview dates are ISO strings)
+ */
+function buildDateMatch(range) {
+  return range ? { date: { $gte: range.from.toISOString(), $lt: range.to.toISOString() } } : {};
+}
+
+/**
+ * Seconds of a "HH:MM:SS" duration string
+ */
+const durationSeconds = (duration) => ({
+  $let: {
+    vars: { parts: { $split: [duration, ':'] } },
+    in: {
+      $add: [
+        { $multiply: [{ $toInt: { $arrayElemAt: ['$$parts', 0] } }, 3600] },
+        { $multiply: [{ $toInt: { $arrayElemAt: ['$$parts', 1] } }, 60] },
+        { $toInt: { $arrayElemAt: ['$$parts', 2] } }
+      ]
+    }
+  }
+});
+
+/**
+ * LocationStats stages producing one { login, campusId, seconds } document per logged day
+ * LocationStats days are local calendar days, compared with the range's local days.
+ * @param {{from: Date, to: Date, timeZone?: string}|null} range - Days kept (null = every stored day)
+ * @returns {Object[]}
+ */
+function buildLogDayStages(range) {
+  const { fromDay, toDay } = range ? getRangeDays(range) : {};
+  const dayFilter = range
+    ? [
+        {
+          $addFields: {
+            dayDate: {
+              $concat: [
+                '$month.k',
+                '-',
+                { $cond: [{ $lt: [{ $strLenCP: '$day.k' }, 2] }, { $concat: ['0', '$day.k'] }, '$day.k'] }
+              ]
+            }
+          }
+        },
+        {
+          $match: {
+            dayDate: { $gte: fromDay, $lt: toDay }
+          }
+        }
+      ]
+    : [];
+
+  return [
+    { $project: { login: 1, campusId: 1, month: { $objectToArray: { $ifNull: ['$months', {}] } } } },
+    { $unwind: '$month' },
+    ...(range ? [{ $match: { 'month.k': { $in: getMonthKeys(range) } } }] : []),
+    { $project: { login: 1, campusId: 1, month: 1, day: { $objectToArray: { $ifNull: ['$month.v.days', {}] } } } },
+    { $unwind: '$day' },
+    ...dayFilter,
+    { $match: { 'day.v': { $regex: /^\d+:\d{2}:\d{2}$/ } } },
+    { $project: { login: 1, campusId: 1, seconds: durationSeconds('$day.v') } }
+  ];
+}
+
+/**
+ * Model and pipeline producing { _id: login, value } documents for a metric
+ * @returns {Promise<{model: Object, pipeline: Object[]}>}
+ */
+async function buildMetricSource(metric, filters, range) {
+  const campusMatch = filters.campusId !== null ? { campusId: filters.campusId } : {};
+
+  switch (metric) {
+    case 'level':
+    case 'wallet':
+    case 'correction_point': {
+      const { field } = METRICS[metric];
+      return {
+        model: Student,
+        pipeline: [
+          { $match: { ...buildStudentMatch(filters), [field]: { $ne: null } } },
+          { $project: { _id: '$login', value: `$${field}` } }
+        ]
+      };
+    }
+
+    case 'projects':
+      return {
+        model: Project,
+        pipeline: [
+          {
+            $match: {
+              ...campusMatch,
+              status: 'success',
+              login: await buildLoginFilter(filters),
+              ...buildDateMatch(range)
+            }
+          },
+          { $group: { _id: '$login', value: { $sum: 1 } } }
+        ]
+      };
+
+    case 'log_time':
+      return {
+        model: LocationStats,
+        pipeline: [
+          { $match: { ...campusMatch, login: await buildLoginFilter(filters) } },
+          ...buildLogDayStages(range),
+          { $group: { _id: '$login', value: { $sum: '$seconds' } } },
+          { $match: { value: { $gt: 0 } } }
+        ]
+      };
+
+    case 'reviews_given':
+      // Project reviews live in DB2
+      return {
+        model: ProjectReview,
+        pipeline: [
+          { $match: { ...campusMatch, evaluator: await buildLoginFilter(filters), ...buildDateMatch(range) } },
+          { $group: { _id: '$evaluator', value: { $sum: 1 } } }
+        ]
+      };
+
+    case 'avg_rating':
+      return {
+        model: Feedback,
+        pipeline: [
+          {
+            $match: {
+              ...campusMatch,
+              evaluated: await buildLoginFilter(filters),
+              rating: { $ne: null },
+              ...buildDateMatch(range)
+            }
+          },
+          { $group: { _id: '$evaluated', value: { $avg: '$rating' }, ratings: { $sum: 1 } } },
+          { $match: { ratings: { $gte: MIN_RATINGS } } }
+        ]
+      };
+
+    default:
+      throw new Error(`Unknown leaderboard metric: ${metric}`);
+  }
+}
+
+/**
+ * Metric source followed by the rank of each login
+ * @returns {Promise<{model: Object, pipeline: Object[]}>} - { _id: login, value, rank } documents
+ */
+async function buildRankedSource(metric, filters, range) {
+  const { model, pipeline } = await buildMetricSource(metric, filters, range);
+  return {
+    model,
+    pipeline: [
+      ...pipeline,
+      { $setWindowFields: { sortBy: { value: -1 }, output: { rank: { $rank: {} } } } }
+    ]
+  };
+}
+
+/**
+ * Successful project count of each login, in one query
+ * @param {string[]} logins
+ * @returns {Promise<Object>} - login -> count
+ */
+async function getProjectCounts(logins) {
+  const counts = {};
+  if (logins.length === 0) {
+    return counts;
+  }
+
+  const rows = await Project.aggregate([
+    { $match: { login: { $in: logins }, status: 'success' } },
+    { $group: { _id: '$login', count: { $sum: 1 } } }
+  ]);
+  logins.forEach(login => {
+    counts[login] = 0;
+  });
+  rows.forEach(row => {
+    counts[row._id] = row.count;
+  });
+  return counts;
+}
+
+/**
+ * Public card of ranked students (one student query, one project count query)
+ * @param {string[]} logins
+ * @returns {Promise<Object>} - login -> student card
+ */
+async function getStudentCards(logins) {
+  const [students, projectCounts] = await Promise.all([
+    Student.find({ login: { $in: logins } })
+      .select('id login displayname image correction_point wallet level')
+      .lean(),
+    getProjectCounts(logins)
+  ]);
+
+  const cards = {};
+  students.forEach(s => {
+    cards[s.login] = {
+      id: s.id,
+      login: s.login,
+      displayname: s.displayname,
+      image: s.image,
+      correction_point: s.correction_point,
+      wallet: s.wallet,
+      level: s.level,
+      project_count: projectCounts[s.login] || 0
+    };
+  });
+  return cards;
+}
+
+/**
+ * Compute a leaderboard page and the rank of a login
+ * Ties share a rank (1, 2, 2, 4); rows of a tie are ordered by login.
+ * @param {Object} options
+ * @param {string} options.metric - Key of METRICS
+ * @param {number|null} options.campusId - Campus (null = every campus)
+ * @param {{month: string, year: string}|null} options.pool - Pool filter
+ * @param {{from: Date, to: Date}|null} options.range - Window of period metrics (null = all time)
+ * @param {number} options.page - 1-based page
+ * @param {number} options.limit - Rows per page
+ * @param {string|null} options.login - Login whose rank is returned
+ * @returns {Promise<{rows: Object[], total: number, me: Object|null}>}
+ */
+async function getLeaderboard({ metric, campusId, pool, range, page, limit, login }) {
+  const filters = { campusId, pool };
+  const { model, pipeline } = await buildRankedSource(metric, filters, METRICS[metric].kind === 'period' ? range : null);
+
+  const [result] = await model.aggregate([
+    ...pipeline,
+    {
+      $facet: {
+        rows: [
+          { $sort: { rank: 1, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit }
+        ],
+        total: [{ $count: 'count' }],
+        // No login: match nothing (ranked logins are never empty)
+        me: [{ $match: { _id: login || '' } }]
+      }
+    }
+  ]).allowDiskUse(true);
+
+  const rows = result?.rows || [];
+  const cards = await getStudentCards(rows.map(row => row._id));
+  const me = result?.me?.[0];
+
+  return {
+    rows: rows.map(row => ({
+      rank: row.rank,
+      login: row._id,
+      value: row.value,
+      student: cards[row._id] || null
+    })),
+    total: result?.total?.[0]?.count || 0,
+    me: me ? { rank: me.rank, value: me.value } : null
+  };
+}
+
+/**
+ * Every ranked student of a campus, all time (input of the daily snapshots)
+ * @param {string} metric - Key of METRICS
+ * @param {number} campusId
+ * @returns {Promise<Array<{_id: string, value: number, rank: number}>>}
+ */
+async function getRankings(metric, campusId) {
+  const { model, pipeline } = await buildRankedSource(metric, { campusId, pool: null }, null);
+  return model.aggregate(pipeline).allowDiskUse(true);
+}
+
+/**
+ * "YYYY-MM-DD" day of a date (UTC)
+ */
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Students whose campus rank changed the most between two snapshots
+ * Compares the latest complete snapshot of the campus with the latest complete one
+ * taken at least `days` days before it. Students missing from either snapshot are left out.
+ * @param {Object} options
+ * @param {string} options.metric - One of SNAPSHOT_METRICS
+ * @param {number} options.campusId
+ * @param {number} options.days - Days between the compared snapshots
+ * @param {number} options.limit - Climbers / fallers returned
+ * @returns {Promise<{from: string|null, to: string|null, climbers: Object[], fallers: Object[]}>}
+ */
+async function getRankMovers({ metric, campusId, days, limit }) {
+  const latest = await LeaderboardSnapshotDay.findOne({ campusId })
+    .sort({ day: -1 })
+    .select('day')
+    .lean();
+  if (!latest) {
+    return { from: null, to: null, climbers: [], fallers: [] };
+  }
+
+  const cutoff = formatDay(new Date(new Date(`${latest.day}T00:00:00Z`).getTime() - days * DAY_MS));
+  const previous = await LeaderboardSnapshotDay.findOne({ campusId, day: { $lte: cutoff } })
+    .sort({ day: -1 })
+    .select('day')
+    .lean();
+  if (!previous) {
+    return { from: null, to: latest.day, climbers: [], fallers: [] };
+  }
+
+  const field = `ranks.${metric}`;
+  const [current, before] = await Promise.all([latest.day, previous.day].map(day =>
+    LeaderboardSnapshot.find({ campusId, day, [field]: { $exists: true } })
+      .select(`login ${field}`)
+      .lean()
+  ));
+
+  const previousRanks = new Map(before.map(doc => [doc.login, doc.ranks[metric]]));
+  const moves = [];
+  current.forEach(doc => {
+    const then = previousRanks.get(doc.login);
+    const now = doc.ranks[metric];
+    if (then && then.rank !== now.rank) {
+      moves.push({
+        login: doc.login,
+        rank: now.rank,
+        previousRank: then.rank,
+        change: then.rank - now.rank, // > 0: climbed
+        value: now.value,
+        previousValue: then.value
+      });
+    }
+  });
+
+  const climbers = moves.filter(m => m.change > 0)
+    .sort((a, b) => b.change - a.change || a.rank - b.rank)
+    .slice(0, limit);
+  const fallers = moves.filter(m => m.change < 0)
+    .sort((a, b) => a.change - b.change || a.rank - b.rank)
+    .slice(0, limit);
+
+  const cards = await getStudentCards([...climbers, ...fallers].map(m => m.login));
+  const withCard = m => ({ ...m, student: cards[m.login] || null });
+
+  return {
+    from: previous.day,
+    to: latest.day,
+    climbers: climbers.map(withCard),
+    fallers: fallers.map(withCard)
+  };
+}
+
+/**
+ * Daily campus rank of a student for a metric (complete snapshot days only)
+ * @param {Object} options
+ * @param {string} options.metric - One of SNAPSHOT_METRICS
+ * @param {string} options.login
+ * @param {number} options.days - Days of history, ending today
+ * @param {number[]|null} options.campusIds - Campuses the series may include (null = all)
+ * @param {Date} [options.now]
+ * @returns {Promise<Array<{day: string, campusId: number, rank: number, value: number}>>}
+ */
+async function getRankHistory({ metric, login, days, campusIds, now = new Date() }) {
+  const field = `ranks.${metric}`;
+  const query = {
+    login,
+    day: { $gt: formatDay(new Date(now.getTime() - days * DAY_MS)) },
+    [field]: { $exists: true }
+  };
+  if (campusIds !== null) {
+    query.campusId = { $in: campusIds };
+  }
+
+  const docs = await LeaderboardSnapshot.find(query)
+    .sort({ day: 1 })
+    .select(`day campusId ${field}`)
+    .lean();
+  if (docs.length === 0) {
+    return [];
+  }
+
+  // Days still being written (or left by an interrupted run) are skipped
+  const completeDays = await LeaderboardSnapshotDay.find({
+    campusId: { $in: [...new Set(docs.map(doc => doc.campusId))] },
+    day: { $gte: docs[0].day, $lte: docs[docs.length - 1].day }
+  })
+    .select('campusId day')
+    .lean();
+  const complete = new Set(completeDays.map(entry => `${entry.campusId}:${entry.day}`));
+
+  return docs.filter(doc => complete.has(`${doc.campusId}:${doc.day}`)).map(doc => ({
+    day: doc.day,
+    campusId: doc.campusId,
+    rank: doc.ranks[metric].rank,
+    value: doc.ranks[metric].value
+  }));
+}
+
+module.exports = {
+  METRICS,
+  MIN_RATINGS,
+  SNAPSHOT_METRICS,
+  buildLogDayStages,
+  formatDay,
+  getLeaderboard,
+  getRankings,
+  getRankMovers,
+  getRankHistory,
+  getProjectCounts,
+  getStudentCards
+};
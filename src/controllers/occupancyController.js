@@ -0,0 +1,132 @@
+const { LocationSession } = require('../models');
+const { getZonedParts } = require('../utils/dateRange');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEK_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+// Intervals longer than this (e.g. a missing logout) are cut
+const MAX_SESSION_MS = 24 * HOUR_MS;
+
+/**
+ * Add the minutes of an interval to the hour slots it covers
+ * @param {Float64Array} slotMinutes - Minutes per hour slot since windowStart
+ * @param {number} windowStart - Start of slot 0 (ms)
+ * @param {number} windowEnd - End of the last slot (ms)
+ * @param {number} start - Interval start (ms)
+ * @param {number} end - Interval end (ms)
+ */
+function addInterval(slotMinutes, windowStart, windowEnd, start, end) {
+  const from = Math.max(start, windowStart);
+  const to = Math.min(end, windowEnd);
+  for (let slotStart = from - ((from - windowStart) % HOUR_MS); slotStart < to; slotStart += HOUR_MS) {
+    const overlap = Math.min(to, slotStart + HOUR_MS) - Math.max(from, slotStart);
+    slotMinutes[(slotStart - windowStart) / HOUR_MS] += overlap / 60000;
+  }
+}
+
+/**
+ * Round to one decimal
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Compute occupancy heatmaps from the login / logout intervals of a window
+ * Values are the average number of students logged in at the same time
+ * (student-minutes / 60), over every occurrence of the hour in the window.
+ * Overlapping intervals of a student (two workstations) count once.
+ * Hours and weekdays are local to the range's timezone; the part of the window after now is ignored.
+ * @param {number|null} campusId - Campus ID (null = every campus)
+ * @param {{from: Date, to: Date, timeZone?: string}} range - Window
+ * @param {Date} now - Reference time (end of open intervals)
+ * @returns {Promise<{hourlyOccupancy: Object[], weekdayHourOccupancy: Object[]}>}
+ */
+async function getOccupancyHeatmaps(campusId, range, now) {
+  const timeZone = range.timeZone || 'UTC';
+  const windowStart = range.from.getTime();
+  // Slots start at windowStart (a local midnight, not always a UTC hour)
+  const windowEnd = Math.min(
+    range.to.getTime(),
+    windowStart + Math.ceil((now.getTime() - windowStart) / HOUR_MS) * HOUR_MS
+  );
+  const slotCount = Math.max(0, Math.ceil((windowEnd - windowStart) / HOUR_MS));
+  const slotMinutes = new Float64Array(slotCount);
+
+  if (slotCount > 0) {
+    const cursor = LocationSession.find({
+      ...(campusId !== null ? { campusId } : {}),
+      beginAt: { $gte: new Date(windowStart - MAX_SESSION_MS), $lt: new Date(windowEnd) },
+      $or: [{ endAt: null }, { endAt: { $gt: range.from } }]
+    })
+      .select('login beginAt endAt')
+      .sort({ login: 1, beginAt: 1 })
+      .lean()
+      .cursor();
+
+    // Merge the overlapping intervals of each student before counting
+    let current = null;
+    for await (const session of cursor) {
+      const start = session.beginAt.getTime();
+      const end = Math.min(
+        session.endAt ? session.endAt.getTime() : now.getTime(),
+        start + MAX_SESSION_MS
+      );
+      if (end <= start) continue;
+
+      if (current && current.login === session.login && start <= current.end) {
+        current.end = Math.max(current.end, end);
+        continue;
+      }
+      if (current) {
+        addInterval(slotMinutes, windowStart, windowEnd, current.start, current.end);
+      }
+      current = { login: session.login, start, end };
+    }
+    if (current) {
+      addInterval(slotMinutes, windowStart, windowEnd, current.start, current.end);
+    }
+  }
+
+  // Sum minutes and occurrences per hour of day and per weekday + hour
+  const hourly = Array.from({ length: 24 }, () => ({ minutes: 0, occurrences: 0 }));
+  const weekdayHour = {};
+  DAY_NAMES.forEach(day => {
+    weekdayHour[day] = Array.from({ length: 24 }, () => ({ minutes: 0, occurrences: 0 }));
+  });
+
+  for (let slot = 0; slot < slotCount; slot++) {
+    const { hour, weekday } = getZonedParts(new Date(windowStart + slot * HOUR_MS), timeZone);
+    const cells = [hourly[hour], weekdayHour[DAY_NAMES[weekday]][hour]];
+    cells.forEach(cell => {
+      cell.minutes += slotMinutes[slot];
+      cell.occurrences++;
+    });
+  }
+
+  const average = cell => (cell.occurrences ? cell.minutes / 60 / cell.occurrences : 0);
+
+  const hourlyCount = hourly.map(average);
+  const maxHourly = Math.max(...hourlyCount) || 1;
+  const hourlyOccupancy = hourlyCount.map((count, hour) => ({
+    hour: `${String(hour).padStart(2, '0')}:00`,
+    count: round1(count),
+    occupancy: Math.round((count / maxHourly) * 100)
+  }));
+
+  const weekdayCounts = WEEK_DAYS.map(day => weekdayHour[day].map(average));
+  const maxCell = Math.max(...weekdayCounts.flat()) || 1;
+  const weekdayHourOccupancy = WEEK_DAYS.map((day, index) => ({
+    day,
+    hours: weekdayCounts[index].map((count, hour) => ({
+      hour: `${String(hour).padStart(2, '0')}:00`,
+      count: round1(count),
+      occupancy: Math.round((count / maxCell) * 100)
+    }))
+  }));
+
+  return { hourlyOccupancy, weekdayHourOccupancy };
+}
+
+module.exports = { getOccupancyHeatmaps };
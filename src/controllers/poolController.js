@@ -0,0 +1,177 @@
+const { Student, Project } = require('../models');
+const { getZonedParts, zonedTime } = require('../utils/dateRange');
+
+const MONTH_NAMES = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Longest retention curve returned
+const MAX_RETENTION_MONTHS = 120;
+
+/**
+ * Month index (0-11) of a pool month ("september" or "9")
+ * @returns {number|null}
+ */
+function getPoolMonthIndex(month) {
+  const index = MONTH_NAMES.indexOf(month);
+  if (index !== -1) {
+    return index;
+  }
+  const parsed = parseInt(month, 10);
+  return parsed >= 1 && parsed <= 12 ? parsed - 1 : null;
+}
+
+/**
+ * Grades of students who passed the piscine
+ */
+function isCadet(student) {
+  return student['alumni?'] === true || ['Cadet', 'Transcender', 'Alumni'].includes(student.grade);
+}
+
+/**
+ * Current status of a cadet, first match wins
+ * @returns {string} - alumni, blackholed, frozen, sinker, active or inactive
+ */
+function getCadetStatus(student) {
+  if (student['alumni?'] === true) return 'alumni';
+  if (student.blackholed === true) return 'blackholed';
+  if (student.freeze === true) return 'frozen';
+  if (student.sinker === true) return 'sinker';
+  if (student['active?'] === true) return 'active';
+  return 'inactive';
+}
+
+/**
+ * Median of a list of numbers (null when empty)
+ */
+function median(values) {
+  if (values.length === 0) {
+    return null;
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Ratio rounded to 4 decimals, null without a denominator
+ */
+function ratio(value, total) {
+  return total > 0 ? Math.round((value / total) * 10000) / 10000 : null;
+}
+
+/**
+ * Whole calendar months from a month start to a date, in a timezone
+ */
+function monthsBetween(start, date, timeZone) {
+  const from = getZonedParts(start, timeZone);
+  const to = getZonedParts(date, timeZone);
+  return (to.year - from.year) * 12 + (to.month - from.month);
+}
+
+/**
+ * Statistics of a piscine cohort
+ * Staff and test accounts are left out. Status split, levels and retention cover
+ * the cohort's cadets (students who passed the piscine).
+ * A cadet is retained at month N (since the pool month) while they still submit
+ * projects; active cadets and alumni are retained up to the current month.
+ * @param {Object} options
+ * @param {{year: string, month: string}} options.pool - Validated pool, month name as stored on students
+ * @param {number|null} options.campusId - Campus (null = every campus)
+ * @param {string} options.timeZone - Timezone of the pool months
+ * @param {Date} [options.now]
+ * @returns {Promise<Object>}
+ */
+async function getPoolStats({ pool, campusId, timeZone, now = new Date() }) {
+  const poolStart = zonedTime(parseInt(pool.year, 10), getPoolMonthIndex(pool.month), 1, 0, timeZone);
+
+  const students = await Student.find({
+    ...(campusId !== null ? { campusId } : {}),
+    pool_year: pool.year,
+    pool_month: pool.month,
+    'staff?': { $ne: true },
+    is_test: { $ne: true }
+  })
+    .select('login grade level is_piscine blackholed freeze sinker active? alumni?')
+    .lean();
+
+  const cadets = students.filter(isCadet);
+
+  // Validated projects and last submission of every cohort member in one query
+  const projectRows = students.length > 0
+    ? await Project.aggregate([
+        { $match: { login: { $in: students.map(s => s.login) } } },
+        {
+          $group: {
+            _id: '$login',
+            validated: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } },
+            lastSubmission: { $max: '$date' }
+          }
+        }
+      ])
+    : [];
+  const projectsByLogin = new Map(projectRows.map(row => [row._id, row]));
+
+  const status = { active: 0, blackholed: 0, frozen: 0, sinker: 0, alumni: 0, inactive: 0 };
+  const levels = {};
+  const currentMonth = Math.min(Math.max(monthsBetween(poolStart, now, timeZone), 0), MAX_RETENTION_MONTHS);
+  // retainedUntil[n]: cadets whose retention ends at month n
+  const retainedUntil = new Array(currentMonth + 1).fill(0);
+
+  cadets.forEach(cadet => {
+    const cadetStatus = getCadetStatus(cadet);
+    status[cadetStatus]++;
+
+    if (typeof cadet.level === 'number') {
+      const level = Math.floor(cadet.level);
+      levels[level] = (levels[level] || 0) + 1;
+    }
+
+    let lastMonth = -1;
+    const lastSubmission = projectsByLogin.get(cadet.login)?.lastSubmission;
+    if (cadetStatus === 'active' || cadetStatus === 'alumni') {
+      lastMonth = currentMonth;
+    } else if (lastSubmission && !isNaN(new Date(lastSubmission).getTime())) {
+      lastMonth = Math.min(monthsBetween(poolStart, new Date(lastSubmission), timeZone), currentMonth);
+    }
+    if (lastMonth >= 0) {
+      retainedUntil[lastMonth]++;
+    }
+  });
+
+  // Cadets retained at month n = those whose retention ends at n or later
+  const retention = [];
+  let retained = 0;
+  for (let month = currentMonth; month >= 0; month--) {
+    retained += retainedUntil[month];
+    retention.unshift({ month, retained, rate: ratio(retained, cadets.length) });
+  }
+
+  const validated = login => projectsByLogin.get(login)?.validated || 0;
+
+  return {
+    startsAt: poolStart.toISOString(),
+    students: students.length,
+    inPiscine: students.filter(s => s.is_piscine === true).length,
+    cadets: {
+      count: cadets.length,
+      rate: ratio(cadets.length, students.length)
+    },
+    status,
+    levelDistribution: Object.entries(levels)
+      .map(([level, count]) => ({ level: Number(level), count }))
+      .sort((a, b) => a.level - b.level),
+    projects: {
+      medianValidated: median(students.map(s => validated(s.login))),
+      cadetMedianValidated: median(cadets.map(s => validated(s.login)))
+    },
+    retention
+  };
+}
+
+module.exports = {
+  MONTH_NAMES,
+  getPoolMonthIndex,
+  getPoolStats
+};
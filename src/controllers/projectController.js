@@ -0,0 +1,185 @@
+const { Project, ProjectReview } = require('../models');
+const { parseProjectName, buildProjectNameRegex } = require('../utils/projectName');
+const { getStudentCards } = require('./leaderboardController');
+const { CHEAT_SCORE } = require('./campusController');
+
+// Score histogram buckets: [min, max[ (cheats (-42), other negative scores,
+// tens from 0 to 99, exactly 100, then bonus up to 125)
+const SCORE_BOUNDARIES = [CHEAT_SCORE, CHEAT_SCORE + 1, 0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 101, 126];
+
+const RECENT_VALIDATIONS = 10;
+const TOP_REVIEW_STATUSES = 10;
+
+/**
+ * Retry count of a stored project name ("Libft#2" -> 2, "Libft" -> 0), as an expression
+ */
+const retryCountExpression = {
+  $let: {
+    vars: { retry: { $regexFind: { input: '$project', regex: /#(\d+)$/ } } },
+    in: { $cond: [{ $eq: ['$$retry', null] }, 0, { $toInt: { $arrayElemAt: ['$$retry.captures', 0] } }] }
+  }
+};
+
+/**
+ * Base project names with attempt and validation counts
+ * @param {Object} options
+ * @param {number|null} options.campusId - Campus (null = every campus)
+ * @param {string} [options.search] - Case insensitive part of the name
+ * @returns {Promise<Array<{name: string, attempts: number, validations: number}>>}
+ */
+async function getProjectCatalog({ campusId, search = '' }) {
+  const rows = await Project.aggregate([
+    { $match: campusId !== null ? { campusId } : {} },
+    {
+      $group: {
+        _id: '$project',
+        attempts: { $sum: 1 },
+        validations: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  // Fold retries ("Libft#2") into their base project
+  const catalog = new Map();
+  rows.forEach(row => {
+    const { name } = parseProjectName(row._id);
+    const entry = catalog.get(name) || { name, attempts: 0, validations: 0 };
+    entry.attempts += row.attempts;
+    entry.validations += row.validations;
+    catalog.set(name, entry);
+  });
+
+  const needle = search.toLowerCase();
+  return [...catalog.values()]
+    .filter(entry => entry.name.toLowerCase().includes(needle))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Statistics of a base project over every attempt (retries included)
+ * @param {Object} options
+ * @param {string} options.name - Base project name, e.g. "CPP Module 03"
+ * @param {number|null} options.campusId - Campus (null = every campus)
+ * @returns {Promise<Object|null>} - null when the project has neither attempts nor reviews
+ */
+async function getProjectStats({ name, campusId }) {
+  const match = {
+    ...(campusId !== null ? { campusId } : {}),
+    project: buildProjectNameRegex(name)
+  };
+
+  const [[result], reviewStatuses] = await Promise.all([
+    Project.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          summary: [
+            {
+              $group: {
+                _id: null,
+                attempts: { $sum: 1 },
+                validations: { $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] } },
+                fails: { $sum: { $cond: [{ $eq: ['$status', 'fail'] }, 1, 0] } },
+                inProgress: { $sum: { $cond: [{ $eq: ['$status', 'in_progress'] }, 1, 0] } },
+                cheats: { $sum: { $cond: [{ $eq: ['$score', CHEAT_SCORE] }, 1, 0] } }
+              }
+            }
+          ],
+          // Attempts until success: retry count of the first validated attempt, plus one
+          attemptsUntilSuccess: [
+            {
+              $group: {
+                _id: '$login',
+                firstSuccess: {
+                  $min: { $cond: [{ $eq: ['$status', 'success'] }, retryCountExpression, null] }
+                }
+              }
+            },
+            {
+              $group: {
+                _id: null,
+                students: { $sum: 1 },
+                validatedStudents: { $sum: { $cond: [{ $eq: ['$firstSuccess', null] }, 0, 1] } },
+                average: { $avg: { $add: ['$firstSuccess', 1] } }
+              }
+            }
+          ],
+          scoreHistogram: [
+            { $match: { status: { $ne: 'in_progress' } } },
+            {
+              $bucket: {
+                groupBy: '$score',
+                boundaries: SCORE_BOUNDARIES,
+                default: 'other',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          recentValidations: [
+            { $match: { status: 'success' } },
+            { $sort: { date: -1 } },
+            { $limit: RECENT_VALIDATIONS },
+            { $project: { _id: 0, login: 1, project: 1, score: 1, date: 1, campusId: 1 } }
+          ]
+        }
+      }
+    ]),
+    // Project reviews live in DB2
+    ProjectReview.aggregate([
+      { $match: match },
+      { $group: { _id: { $ifNull: ['$status', 'none'] }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: TOP_REVIEW_STATUSES },
+      { $project: { _id: 0, status: '$_id', count: 1 } }
+    ])
+  ]);
+
+  const summary = result?.summary?.[0];
+  if (!summary && reviewStatuses.length === 0) {
+    return null;
+  }
+
+  const { attempts = 0, validations = 0, fails = 0, inProgress = 0, cheats = 0 } = summary || {};
+  const untilSuccess = result?.attemptsUntilSuccess?.[0];
+  const graded = validations + fails;
+
+  const histogramCounts = new Map((result?.scoreHistogram || []).map(bucket => [bucket._id, bucket.count]));
+  const scoreHistogram = SCORE_BOUNDARIES.slice(0, -1).map((min, i) => ({
+    min,
+    max: SCORE_BOUNDARIES[i + 1], // exclusive
+    count: histogramCounts.get(min) || 0
+  }));
+  if (histogramCounts.has('other')) {
+    scoreHistogram.push({ min: null, max: null, count: histogramCounts.get('other') });
+  }
+
+  const recent = result?.recentValidations || [];
+  const cards = await getStudentCards([...new Set(recent.map(r => r.login))]);
+
+  return {
+    name,
+    attempts,
+    students: untilSuccess?.students || 0,
+    validations,
+    fails,
+    inProgress,
+    passRate: graded > 0 ? Math.round((validations / graded) * 10000) / 10000 : null,
+    averageAttemptsUntilSuccess: typeof untilSuccess?.average === 'number'
+      ? Math.round(untilSuccess.average * 100) / 100
+      : null,
+    validatedStudents: untilSuccess?.validatedStudents || 0,
+    cheats,
+    scoreHistogram,
+    recentValidations: recent.map(validation => ({
+      ...validation,
+      student: cards[validation.login] || null
+    })),
+    reviewStatuses
+  };
+}
+
+module.exports = {
+  SCORE_BOUNDARIES,
+  getProjectCatalog,
+  getProjectStats
+};
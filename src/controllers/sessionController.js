@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+const { Session, BannedUser } = require('../models');
+const authConfig = require('../config/auth');
+const authCache = require('../utils/authCache');
+const { logger } = require('../utils/log');
+
+/**
+ * Generate a random opaque session token
+ * @returns {string} - 64 char hex token
+ */
+function generateToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Resolve the primary campus of a 42 user
+ * @param {Object} userData - User data from /v2/me
+ * @returns {number} - Campus ID (0 if unknown)
+ */
+function getPrimaryCampusId(userData) {
+  const campusUsers = userData?.campus_users || [];
+  const primary = campusUsers.find(cu => cu.is_primary) || campusUsers[0];
+  return primary?.campus_id || userData?.campus?.[0]?.id || 0;
+}
+
+/**
+ * Find the active ban record of a user (if any)
+ * @param {string} login - User login
+ * @returns {Promise<Object|null>} - BannedUser document or null
+ */
+async function findActiveBan(login) {
+  return BannedUser.findOne({ login, $or: [
+    { expiresAt: null },
+    { expiresAt: { $gt: new Date() } }
+  ] });
+}
+
+/**
+ * Cached variant of findActiveBan() for the per-request authentication path
+ * @param {string} login - User login
+ * @returns {Promise<Object|null>} - Ban record (lean) or null
+ */
+async function findActiveBanCached(login) {
+  const cached = authCache.bans.get(login);
+  if (cached !== undefined) {
+    const { ban } = cached;
+    // A cached ban may have expired since it was cached
+    return ban && (ban.expiresAt === null || new Date(ban.expiresAt) > new Date()) ? ban : null;
+  }
+
+  const ban = await findActiveBan(login);
+  const leanBan = ban ? ban.toObject() : null;
+  authCache.bans.set(login, { ban: leanBan });
+  return leanBan;
+}
+
+/**
+ * Hash a session or refresh token for storage/lookup
+ * Tokens are only ever stored as SHA-256 hashes
+ * @param {string} token - Raw token
+ * @returns {string} - Hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Get the absolute expiry of a session (legacy sessions have none stored)
+ * @param {Object} session - Session document
+ * @returns {Date}
+ */
+function getAbsoluteExpiry(session) {
+  if (session.absoluteExpiresAt) {
+    return session.absoluteExpiresAt;
+  }
+  const createdAt = session.createdAt ? new Date(session.createdAt) : new Date();
+  return new Date(createdAt.getTime() + authConfig.sessionMaxLifetimeMs);
+}
+
+/**
+ * Compute the sliding expiry of a session at a given time
+ * @param {Date} absoluteExpiresAt - Hard limit of the session
+ * @param {Date} now - Reference time (last activity)
+ * @returns {Date} - min(now + idle TTL, absoluteExpiresAt)
+ */
+function getSlidingExpiry(absoluteExpiresAt, now = new Date()) {
+  return new Date(Math.min(now.getTime() + authConfig.sessionTtlMs, absoluteExpiresAt.getTime()));
+}
+
+/**
+ * Generate a fresh access/refresh token pair with their expiries
+ * @param {Date} absoluteExpiresAt - Hard limit of the session
+ * @param {Date} now - Reference time
+ */
+function issueTokenPair(absoluteExpiresAt, now = new Date()) {
+  return {
+    sessionToken: generateToken(),
+    refreshToken: generateToken(),
+    expiresAt: getSlidingExpiry(absoluteExpiresAt, now),
+    refreshExpiresAt: new Date(Math.min(now.getTime() + authConfig.refreshTokenTtlMs, absoluteExpiresAt.getTime()))
+  };
+}
+
+/**
+ * Create a new Session document for a 42 user
+ * @param {Object} userData - User data from /v2/me
+ * @param {string|null} clientIp - IP the login came from
+ * @param {string|null} userAgent - User agent the login came from
+ * @returns {Promise<{sessionToken: string, refreshToken: string, expiresAt: Date, refreshExpiresAt: Date}>}
+ */
+async function createSession(userData, clientIp = null, userAgent = null) {
+  const now = new Date();
+  const absoluteExpiresAt = new Date(now.getTime() + authConfig.sessionMaxLifetimeMs);
+  const tokens = issueTokenPair(absoluteExpiresAt, now);
+
+  await Session.create({
+    sessionToken: hashToken(tokens.sessionToken),
+    refreshToken: hashToken(tokens.refreshToken),
+    login: userData.login,
+    campusId: getPrimaryCampusId(userData),
+    userData,
+    usedIps: clientIp ? [clientIp] : [],
+    lastIp: clientIp,
+    userAgent,
+    lastActivity: now,
+    createdAt: now,
+    expiresAt: tokens.expiresAt,
+    refreshExpiresAt: tokens.refreshExpiresAt,
+    absoluteExpiresAt
+  });
+
+  return tokens;
+}
+
+/**
+ * Rotate the token pair of a session using its refresh token
+ * A refresh token that was already rotated revokes the whole session (token theft)
+ * @param {string} rawRefreshToken - Refresh token presented by the client
+ * @returns {Promise<{tokens?: Object, error?: {status: number, message: string}}>}
+ */
+async function refreshSession(rawRefreshToken) {
+  const refreshHash = hashToken(rawRefreshToken);
+  const now = new Date();
+
+  const session = await Session.findOne({ refreshToken: refreshHash });
+
+  if (!session) {
+    // Reuse of an already rotated token: revoke the session unless it is a concurrent refresh
+    const reused = await Session.findOne({ previousRefreshToken: refreshHash });
+    if (reused) {
+      const withinGrace = reused.refreshedAt && now - reused.refreshedAt < authConfig.refreshReuseGraceMs;
+      if (!withinGrace) {
+        await reused.deleteOne();
+        authCache.invalidateSessionId(reused._id);
+        logger.warn('Refresh token reuse detected, session revoked', { login: reused.login });
+      }
+    }
+    return { error: { status: 401, message: 'Invalid refresh token' } };
+  }
+
+  const absoluteExpiresAt = getAbsoluteExpiry(session);
+  if (!session.refreshExpiresAt || session.refreshExpiresAt <= now || absoluteExpiresAt <= now) {
+    await session.deleteOne();
+    authCache.invalidateSessionId(session._id);
+    return { error: { status: 401, message: 'Refresh token expired' } };
+  }
+
+  const bannedRecord = await findActiveBan(session.login);
+  if (bannedRecord) {
+    await session.deleteOne();
+    authCache.invalidateSessionId(session._id);
+    return {
+      error: {
+        status: 403,
+        message: `User is banned${bannedRecord.reason ? `: ${bannedRecord.reason}` : ''}`
+      }
+    };
+  }
+
+  const tokens = issueTokenPair(absoluteExpiresAt, now);
+
+  // Conditional update so two concurrent refreshes cannot both rotate the same token
+  const result = await Session.updateOne(
+    { _id: session._id, refreshToken: refreshHash },
+    {
+      sessionToken: hashToken(tokens.sessionToken),
+      refreshToken: hashToken(tokens.refreshToken),
+      previousRefreshToken: refreshHash,
+      refreshedAt: now,
+      lastActivity: now,
+      expiresAt: tokens.expiresAt,
+      refreshExpiresAt: tokens.refreshExpiresAt,
+      absoluteExpiresAt
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return { error: { status: 401, message: 'Invalid refresh token' } };
+  }
+
+  // The previous access token must stop working right away
+  authCache.invalidateSessionId(session._id);
+
+  return { tokens, login: session.login, campusId: session.campusId };
+}
+
+/**
+ * Revoke a single session of a user
+ * @param {string} login - Owner of the session
+ * @param {string} sessionId - Session document ID
+ * @returns {Promise<boolean>} - True if a session was deleted
+ */
+async function revokeSession(login, sessionId) {
+  const result = await Session.deleteOne({ _id: sessionId, login });
+  authCache.invalidateSessionId(sessionId);
+  return result.deletedCount > 0;
+}
+
+/**
+ * Revoke all sessions of a user
+ * @param {string} login - User login
+ * @param {Object} options
+ * @param {string} [options.exceptId] - Session ID to keep (e.g. the current one)
+ * @returns {Promise<number>} - Number of deleted sessions
+ */
+async function revokeUserSessions(login, { exceptId = null } = {}) {
+  const filter = { login };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+  const result = await Session.deleteMany(filter);
+  authCache.invalidateLogin(login);
+  return result.deletedCount;
+}
+
+module.exports = {
+  generateToken,
+  hashToken,
+  getPrimaryCampusId,
+  findActiveBan,
+  findActiveBanCached,
+  getAbsoluteExpiry,
+  getSlidingExpiry,
+  createSession,
+  refreshSession,
+  revokeSession,
+  revokeUserSessions
+};
@@ -1,5 +1,9 @@
+const { getZonedParts, toLocalDay } = require('../utils/dateRange');
+const { parseProjectName } = require('../utils/projectName');
+
 /**
  * Generate 2025 wrapped summary for a user
+ * Months, weeks and days are local to data.timeZone (the campus timezone).
  * @param {Object} data - User data from various collections
  * @returns {Object} - Wrapped summary in JSON format
  */
@@ -14,6 +18,7 @@ function generateWrappedSummary(data) {
     patronage = null,
     projectReviewsForWords = [],
     feedbacksForWords = [],
+    timeZone = 'UTC',
   } = data;
 
   const summary = {};
@@ -38,16 +43,6 @@ function generateWrappedSummary(data) {
     return wordMap;
   };
 
-  // Helper: Parse project name and retry count
-  const parseProjectName = (projectName) => {
-    if (!projectName) return { name: '', retryCount: 0 };
-    const match = projectName.match(/^(.+?)#(\d+)$/);
-    if (match) {
-      return { name: match[1], retryCount: parseInt(match[2], 10) };
-    }
-    return { name: projectName, retryCount: 0 };
-  };
-
   // Analyze projects
   const projectAttempts = {};
   const projectsByMonth = {};
@@ -64,7 +59,8 @@ function generateWrappedSummary(data) {
       maxRetryProject = name;
     }
     
-    const month = p.date ? new Date(p.date).getMonth() : null;
+    const date = p.date ? new Date(p.date) : null;
+    const month = date && !isNaN(date.getTime()) ? getZonedParts(date, timeZone).month - 1 : null;
     if (month !== null) {
       projectsByMonth[month] = (projectsByMonth[month] || 0) + 1;
     }
@@ -211,9 +207,9 @@ function generateWrappedSummary(data) {
   allActivityDates.forEach(activity => {
     const date = new Date(activity.date);
     if (isNaN(date.getTime())) return;
-    const weekStart = new Date(date);
-    weekStart.setDate(date.getDate() - date.getDay());
-    const weekKey = weekStart.toISOString().split('T')[0];
+    // Local Sunday of the activity's week
+    const { year, month, day, weekday } = getZonedParts(date, timeZone);
+    const weekKey = new Date(Date.UTC(year, month - 1, day - weekday)).toISOString().split('T')[0];
     
     if (!weekActivity[weekKey]) {
       weekActivity[weekKey] = { total: 0, projects: 0, reviews: 0, feedbacks: 0 };
@@ -275,7 +271,7 @@ function generateWrappedSummary(data) {
     if (longestGap > 7) {
       highlights.quietestPeriod = {
         days: Math.floor(longestGap),
-        startDate: gapStart?.toISOString().split('T')[0]
+        startDate: toLocalDay(gapStart, timeZone)
       };
     }
   }
@@ -2,6 +2,14 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const authenticate = require('./middleware/auth');
+const { requireRole } = require('./middleware/roles');
+const { requireScope } = require('./middleware/apiKey');
+const { enforceCampusScope } = require('./middleware/campusPolicy');
+const { rateLimit } = require('./middleware/rateLimit');
+const { eventLogBuffer } = require('./middleware/logger');
+const { requestLogger } = require('./middleware/requestLogger');
+const { startRetentionSchedule } = require('./jobs/eventLogRetention');
+const { startSnapshotSchedule } = require('./jobs/leaderboardSnapshots');
 
 // Import MongoDB connections
 const { db1, db2 } = require('./models/db');
@@ -14,15 +22,25 @@ const dashboardRoutes = require('./routes/dashboard');
 const studentsRoutes = require('./routes/students');
 const reviewsRoutes = require('./routes/reviews');
 const userRoutes = require('./routes/user');
+const authRoutes = require('./routes/auth');
+const adminRoutes = require('./routes/admin');
+const locationsRoutes = require('./routes/locations');
+const leaderboardsRoutes = require('./routes/leaderboards');
+const campusesRoutes = require('./routes/campuses');
+const poolsRoutes = require('./routes/pools');
+const projectsRoutes = require('./routes/projects');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+// Request ID + one JSON log line per request (first, so every response is covered)
+app.use(requestLogger);
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'OPTIONS', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id', 'X-Cache', 'Age', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'Retry-After'],
   credentials: true
 }));
 app.use(express.json());
@@ -38,6 +56,9 @@ app.options('*', (req, res) => {
   res.sendStatus(200);
 });
 
+// 42 OAuth login flow (no auth required, rate limited per IP)
+app.use('/auth', rateLimit({ name: 'auth' }), authRoutes);
+
 // Apply authentication middleware to /api routes (skip OPTIONS and public review endpoints)
 app.use('/api', (req, res, next) => {
   if (req.method === 'OPTIONS') {
@@ -50,11 +71,23 @@ app.use('/api', (req, res, next) => {
   authenticate(req, res, next);
 });
 
+// Rate limit /api per API key, login or IP (weighted by route cost)
+app.use('/api', rateLimit());
+
 // API Routes
-app.use('/api/dashboard', dashboardRoutes);
-app.use('/api/students', studentsRoutes);
-app.use('/api/reviews', reviewsRoutes);
-app.use('/api/user', userRoutes);
+// API keys only reach the routes their scopes allow; /api/user needs a human session
+// Campus data is limited to the requester's campuses (see middleware/campusPolicy.js)
+app.use('/api/dashboard', requireScope('dashboard:read'), enforceCampusScope, dashboardRoutes);
+app.use('/api/students', requireScope('students:read'), enforceCampusScope, studentsRoutes);
+app.use('/api/reviews', requireScope('reviews:read'), enforceCampusScope, reviewsRoutes);
+app.use('/api/leaderboards', requireScope('dashboard:read'), enforceCampusScope, leaderboardsRoutes);
+// Campus lists are checked per campus in the route
+app.use('/api/campuses', requireScope('dashboard:read'), campusesRoutes);
+app.use('/api/pools', requireScope('students:read'), enforceCampusScope, poolsRoutes);
+app.use('/api/projects', requireScope('students:read'), enforceCampusScope, projectsRoutes);
+app.use('/api/user', requireRole('student'), userRoutes);
+app.use('/api/locations', requireScope('locations:write'), locationsRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -65,7 +98,7 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  req.log.error('Unhandled error', { error: err });
   res.status(500).json({ 
     error: 'Internal server error',
     message: err.message
@@ -105,6 +138,11 @@ async function start() {
     });
     
     console.log('✅ All database connections ready');
+
+    // Optional in-process retention sweeper (enable on a single instance)
+    startRetentionSchedule();
+    // Daily leaderboard snapshots (rank movers and history)
+    startSnapshotSchedule();
     
   } catch (error) {
     console.error('❌ Failed to start server:', error);
@@ -113,18 +151,17 @@ async function start() {
 }
 
 // Handle graceful shutdown
-process.on('SIGINT', async () => {
+async function shutdown() {
   console.log('\n🛑 Shutting down gracefully...');
+  // Write buffered events before closing DB2 so none are lost during a deploy
+  await eventLogBuffer.close();
   await db1.close();
   await db2.close();
+  console.log('MongoDB connections closed through app termination');
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', async () => {
-  console.log('\n🛑 Shutting down gracefully...');
-  await db1.close();
-  await db2.close();
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 start();
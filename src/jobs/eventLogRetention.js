@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const { EventLog, Session } = require('../models');
+const eventLogConfig = require('../config/eventLog');
+const { logger } = require('../utils/log');
+const { anonymizeEventRecord } = require('../utils/ipPrivacy');
+
+const { EJSON } = mongoose.mongo.BSON;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build the retention rules: one per overridden event type, plus the default
+ * rule for every other event type
+ * @param {Date} now - Reference time
+ * @returns {Array<{label: string, filter: Object}>}
+ */
+function buildRetentionRules(now) {
+  const { defaultDays, overrides } = eventLogConfig.retention;
+  const overriddenTypes = Object.keys(overrides);
+
+  const rules = overriddenTypes.map(eventType => ({
+    label: eventType,
+    filter: {
+      eventType,
+      timestamp: { $lt: new Date(now.getTime() - overrides[eventType] * DAY_MS) },
+      restoredAt: { $exists: false }
+    }
+  }));
+
+  rules.push({
+    label: 'default',
+    filter: {
+      eventType: { $nin: overriddenTypes },
+      timestamp: { $lt: new Date(now.getTime() - defaultDays * DAY_MS) },
+      restoredAt: { $exists: false }
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Write a batch of events to a gzipped NDJSON file (Extended JSON keeps dates and ObjectIds)
+ * @returns {Promise<string>} - Path of the written file
+ */
+async function writeArchive(events, label, index, now) {
+  const dir = eventLogConfig.retention.archiveDir;
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const stamp = now.toISOString().replace(/[-:]/g, '').split('.')[0];
+  const file = path.join(dir, `eventlog-${label}-${stamp}-${String(index).padStart(4, '0')}.ndjson.gz`);
+  const ndjson = events.map(event => EJSON.stringify(event, { relaxed: false })).join('\n') + '\n';
+
+  // The file must be on disk before the events are deleted
+  const handle = await fs.promises.open(file, 'wx');
+  try {
+    await handle.writeFile(zlib.gzipSync(ndjson));
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  return file;
+}
+
+/**
+ * Archive (optionally) and delete expired events, batch by batch
+ * @param {Date} now - Reference time
+ * @returns {Promise<{archived: number, deleted: number, files: string[]}>}
+ */
+async function sweepExpiredEvents(now = new Date()) {
+  const { archive, batchSize } = eventLogConfig.retention;
+  const result = { archived: 0, deleted: 0, files: [] };
+
+  for (const rule of buildRetentionRules(now)) {
+    let index = 0;
+    for (;;) {
+      const events = await EventLog.find(rule.filter)
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .lean();
+      if (events.length === 0) break;
+
+      if (archive) {
+        result.files.push(await writeArchive(events, rule.label, index, now));
+        result.archived += events.length;
+      }
+
+      const { deletedCount } = await EventLog.deleteMany({ _id: { $in: events.map(e => e._id) } });
+      result.deleted += deletedCount;
+      index++;
+    }
+  }
+
+  // Restored events are temporary copies: delete without archiving again
+  const restoredCutoff = new Date(now.getTime() - eventLogConfig.retention.restoredDays * DAY_MS);
+  const restored = await EventLog.deleteMany({ restoredAt: { $lt: restoredCutoff } });
+  result.deleted += restored.deletedCount;
+
+  return result;
+}
+
+/**
+ * Delete sessions that can no longer be used (access and refresh expired, or past the absolute limit)
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>} - Number of deleted sessions
+ */
+async function sweepExpiredSessions(now = new Date()) {
+  const { deletedCount } = await Session.deleteMany({
+    $or: [
+      {
+        expiresAt: { $lt: now },
+        $or: [{ refreshExpiresAt: null }, { refreshExpiresAt: { $lt: now } }]
+      },
+      { absoluteExpiresAt: { $lt: now } }
+    ]
+  });
+  return deletedCount;
+}
+
+/**
+ * Run a full retention sweep
+ */
+async function runRetentionSweep(now = new Date()) {
+  const events = await sweepExpiredEvents(now);
+  const sessions = await sweepExpiredSessions(now);
+  logger.info('Retention sweep', {
+    eventsDeleted: events.deleted,
+    eventsArchived: events.archived,
+    archiveFiles: events.files.length,
+    sessionsDeleted: sessions
+  });
+  return { events, sessions };
+}
+
+/**
+ * Archived events of a gzipped NDJSON file
+ * @param {string} file - Archive path
+ * @returns {Object[]} - Events (dates and ObjectIds revived)
+ */
+function readArchive(file) {
+  const ndjson = zlib.gunzipSync(fs.readFileSync(file)).toString('utf8');
+  return ndjson
+    .split('\n')
+    .filter(line => line.trim() !== '')
+    .map(line => EJSON.parse(line, { relaxed: false }));
+}
+
+/**
+ * Re-import an archive for an investigation
+ * Restored events keep their _id (a second restore is a no-op) and are
+ * marked with restoredAt so the sweeper deletes them again without re-archiving.
+ * @param {string} file - Archive path
+ * @returns {Promise<{read: number, restored: number}>}
+ */
+async function restoreArchive(file) {
+  const events = readArchive(file);
+  const restoredAt = new Date();
+  let restored = 0;
+
+  for (let i = 0; i < events.length; i += 1000) {
+    // Archives written before a privacy mode was enabled hold raw IPs
+    const batch = events.slice(i, i + 1000).map(event => ({ ...anonymizeEventRecord(event), restoredAt }));
+    try {
+      const inserted = await EventLog.insertMany(batch, { ordered: false });
+      restored += inserted.length;
+    } catch (error) {
+      // Duplicate _id: already restored / never deleted
+      if (error.code !== 11000 && !error.writeErrors) throw error;
+      restored += error.insertedDocs?.length ?? (batch.length - error.writeErrors.length);
+    }
+  }
+
+  return { read: events.length, restored };
+}
+
+/**
+ * Schedule the sweeper in-process (EVENTLOG_RETENTION_SWEEP_HOURS > 0)
+ * Only enable it on one instance: concurrent sweepers would archive the same events twice.
+ * @returns {NodeJS.Timeout|null}
+ */
+function startRetentionSchedule() {
+  const hours = eventLogConfig.retention.sweepIntervalHours;
+  if (!hours) {
+    return null;
+  }
+
+  const run = () => runRetentionSweep().catch(error => {
+    logger.error('Retention sweep error', { error });
+  });
+  const timer = setInterval(run, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  buildRetentionRules,
+  sweepExpiredEvents,
+  sweepExpiredSessions,
+  runRetentionSweep,
+  readArchive,
+  restoreArchive,
+  startRetentionSchedule
+};
@@ -0,0 +1,164 @@
+const { Student, LeaderboardSnapshot, LeaderboardSnapshotDay } = require('../models');
+const leaderboardConfig = require('../config/leaderboard');
+const { SNAPSHOT_METRICS, formatDay, getRankings } = require('../controllers/leaderboardController');
+const { MongoCacheStore } = require('../utils/swrCache');
+const { logger } = require('../utils/log');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The snapshot lock lives in DB2 (cacheentries)
+const lockStore = new MongoCacheStore();
+const LOCK_KEY = 'leaderboard-snapshots';
+
+/**
+ * Campuses with students whose snapshot of a day is not complete
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {Promise<number[]>}
+ */
+async function getPendingCampusIds(day) {
+  const [campusIds, completed] = await Promise.all([
+    Student.distinct('campusId', { campusId: { $ne: null } }),
+    LeaderboardSnapshotDay.distinct('campusId', { day })
+  ]);
+  const done = new Set(completed);
+  return campusIds.filter(campusId => !done.has(campusId));
+}
+
+/**
+ * Store the campus ranks of every student for the day of `now`
+ * A second snapshot of the same day replaces the first one: the day is marked
+ * incomplete while it is rewritten, and rows of students no longer ranked are deleted.
+ * @param {number} campusId
+ * @param {Date} now - Snapshot time
+ * @returns {Promise<number>} - Students stored
+ */
+async function snapshotCampus(campusId, now) {
+  const day = formatDay(now);
+  await LeaderboardSnapshotDay.deleteOne({ campusId, day });
+
+  const rankings = await Promise.all(SNAPSHOT_METRICS.map(metric => getRankings(metric, campusId)));
+
+  const ranksByLogin = new Map();
+  rankings.forEach((rows, i) => {
+    rows.forEach(row => {
+      const ranks = ranksByLogin.get(row._id) || {};
+      ranks[SNAPSHOT_METRICS[i]] = { rank: row.rank, value: row.value };
+      ranksByLogin.set(row._id, ranks);
+    });
+  });
+
+  const operations = [...ranksByLogin].map(([login, ranks]) => ({
+    updateOne: {
+      filter: { campusId, day, login },
+      update: { $set: { ranks, takenAt: now } },
+      upsert: true
+    }
+  }));
+
+  const { batchSize } = leaderboardConfig.snapshots;
+  for (let i = 0; i < operations.length; i += batchSize) {
+    await LeaderboardSnapshot.bulkWrite(operations.slice(i, i + batchSize), { ordered: false });
+  }
+
+  // Rows left by an earlier snapshot of the day
+  await LeaderboardSnapshot.deleteMany({ campusId, day, takenAt: { $ne: now } });
+
+  // Written last: a run that dies midway leaves the day incomplete
+  await LeaderboardSnapshotDay.updateOne(
+    { campusId, day },
+    { $set: { students: ranksByLogin.size, completedAt: now } },
+    { upsert: true }
+  );
+
+  return ranksByLogin.size;
+}
+
+/**
+ * Snapshot campuses, then delete the days past retention
+ * @param {Date} [now] - Snapshot time
+ * @param {Object} [options]
+ * @param {boolean} [options.pendingOnly] - Skip campuses whose day is already complete
+ * @returns {Promise<{day: string, campuses: number, students: number, deleted: number}>}
+ */
+async function takeLeaderboardSnapshots(now = new Date(), { pendingOnly = false } = {}) {
+  const day = formatDay(now);
+  const campusIds = pendingOnly
+    ? await getPendingCampusIds(day)
+    : await Student.distinct('campusId', { campusId: { $ne: null } });
+
+  let students = 0;
+  for (const campusId of campusIds) {
+    students += await snapshotCampus(campusId, now);
+  }
+
+  const cutoff = formatDay(new Date(now.getTime() - leaderboardConfig.snapshots.retentionDays * DAY_MS));
+  const [{ deletedCount }] = await Promise.all([
+    LeaderboardSnapshot.deleteMany({ day: { $lt: cutoff } }),
+    LeaderboardSnapshotDay.deleteMany({ day: { $lt: cutoff } })
+  ]);
+
+  const summary = { day, campuses: campusIds.length, students, deleted: deletedCount };
+  logger.info('Leaderboard snapshot', summary);
+  return summary;
+}
+
+/**
+ * Snapshot the campuses whose day is not complete, unless another instance is taking them
+ * @returns {Promise<boolean>} - Whether a snapshot was taken
+ */
+async function takeSnapshotIfDue(now = new Date()) {
+  const day = formatDay(now);
+  if ((await getPendingCampusIds(day)).length === 0) {
+    return false;
+  }
+
+  const lockOwner = await lockStore.acquireLock(LOCK_KEY, leaderboardConfig.snapshots.lockTimeoutMs);
+  if (!lockOwner) {
+    return false;
+  }
+  try {
+    // Pending campuses are listed again under the lock
+    const { campuses } = await takeLeaderboardSnapshots(now, { pendingOnly: true });
+    return campuses > 0;
+  } finally {
+    await lockStore.releaseLock(LOCK_KEY, lockOwner).catch(() => {});
+  }
+}
+
+/**
+ * Schedule the daily snapshot in-process (LEADERBOARD_SNAPSHOTS != false)
+ * Checks at startup, then every hour, whether a campus of today's snapshot is incomplete.
+ * @returns {NodeJS.Timeout|null}
+ */
+function startSnapshotSchedule() {
+  const { enabled, checkIntervalMs } = leaderboardConfig.snapshots;
+  if (!enabled) {
+    return null;
+  }
+
+  let running = false;
+  const run = async () => {
+    // A snapshot of a large campus set can outlast the check interval
+    if (running) return;
+    running = true;
+    try {
+      await takeSnapshotIfDue();
+    } catch (error) {
+      logger.error('Leaderboard snapshot error', { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, checkIntervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  snapshotCampus,
+  takeLeaderboardSnapshots,
+  takeSnapshotIfDue,
+  startSnapshotSchedule
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { ApiKey } = require('../models');
+const { hashToken } = require('../controllers/sessionController');
+const { getStoredClientIp } = require('../utils/ipPrivacy');
+const authCache = require('../utils/authCache');
+
+// Raw API keys look like "wk_<64 hex chars>"
+const API_KEY_PREFIX = 'wk_';
+
+// Scopes that can be granted to an API key
+const API_KEY_SCOPES = ['dashboard:read', 'students:read', 'reviews:read', 'locations:write'];
+
+/**
+ * Check whether a bearer credential is an API key rather than a session token
+ * @param {string} token - Raw credential
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Generate a new raw API key
+ * @returns {{key: string, keyHash: string, prefix: string}}
+ */
+function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+  return {
+    key,
+    keyHash: hashToken(key),
+    prefix: key.substring(0, API_KEY_PREFIX.length + 8)
+  };
+}
+
+/**
+ * Authenticate a request carrying an API key
+ * Attaches req.apiKey and a service principal to req.user / req.session
+ * @param {string} rawKey - Raw API key from the request
+ */
+async function authenticateApiKey(rawKey, req, res, next) {
+  const now = new Date();
+  const keyHash = hashToken(rawKey);
+
+  let cached = authCache.apiKeys.get(keyHash);
+  if (!cached) {
+    const found = await ApiKey.findOne({
+      keyHash,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).lean();
+    if (found) {
+      cached = { apiKey: found, lastWriteAt: 0 };
+      authCache.apiKeys.set(keyHash, cached);
+    }
+  }
+  const apiKey = cached?.apiKey;
+
+  if (!apiKey || (apiKey.expiresAt && new Date(apiKey.expiresAt) <= now)) {
+    authCache.apiKeys.delete(keyHash);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid, revoked or expired API key'
+    });
+  }
+
+  // Last-used tracking is throttled like session activity
+  if (authCache.isWriteDue(cached, now.getTime())) {
+    cached.lastWriteAt = now.getTime();
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: now, lastUsedIp: getStoredClientIp(req) }
+    );
+  }
+
+  const login = `apikey:${apiKey.prefix}`;
+  req.apiKey = {
+    id: apiKey._id,
+    name: apiKey.name,
+    scopes: apiKey.scopes || [],
+    campusIds: apiKey.campusIds || []
+  };
+  req.user = { login, displayname: apiKey.name };
+  req.session = {
+    id: null,
+    login,
+    campusId: apiKey.campusIds?.length === 1 ? apiKey.campusIds[0] : null,
+    roles: [] // API keys never hold user roles
+  };
+
+  next();
+}
+
+/**
+ * Middleware factory requiring an API key scope
+ * Session (human) requests are not scope restricted and pass through.
+ * Campus restrictions of keys are enforced by the campus policy.
+ * @param {string} scope - Required scope
+ * @returns {Function} - Express middleware
+ */
+function requireScope(scope) {
+  if (!API_KEY_SCOPES.includes(scope)) {
+    throw new Error(`Unknown API key scope: ${scope}`);
+  }
+
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `API key is missing scope: ${scope}`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  isApiKey,
+  generateApiKey,
+  authenticateApiKey,
+  requireScope
+};
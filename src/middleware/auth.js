@@ -1,13 +1,37 @@
-const { Session, BannedUser } = require('../models');
+const { Session } = require('../models');
+const {
+  findActiveBanCached,
+  hashToken,
+  getAbsoluteExpiry,
+  getSlidingExpiry
+} = require('../controllers/sessionController');
+const { resolveRoles } = require('./roles');
+const { isApiKey, authenticateApiKey } = require('./apiKey');
+const { getStoredClientIp, getStoredUserAgent } = require('../utils/ipPrivacy');
+const authCache = require('../utils/authCache');
+const { evaluateSessionAnomalies } = require('../utils/sessionAnomaly');
+const { logEvent } = require('./logger');
 
 /**
  * Middleware to verify session-based authentication
  * Checks the Authorization Bearer token against Session collection
- * Updates last_activity and tracks IPs
+ * Updates last_activity, slides the expiry and tracks IPs
+ * Validated sessions and bans are cached briefly; activity writes are throttled
+ * to one per SESSION_ACTIVITY_WRITE_SECONDS unless the IP or user agent changes
+ * IP / user agent changes are checked against the session anomaly rules
+ * API keys (X-API-Key header or a "wk_" Bearer token) are delegated to authenticateApiKey
  */
 async function authenticate(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
+    const apiKeyHeader = req.headers['x-api-key'];
+
+    if (apiKeyHeader) {
+      return await authenticateApiKey(apiKeyHeader, req, res, next);
+    }
+    if (authHeader?.startsWith('Bearer ') && isApiKey(authHeader.substring(7))) {
+      return await authenticateApiKey(authHeader.substring(7), req, res, next);
+    }
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ 
@@ -16,15 +40,26 @@ async function authenticate(req, res, next) {
       });
     }
 
-    const sessionToken = authHeader.substring(7); // Remove 'Bearer ' prefix
+    const sessionToken = hashToken(authHeader.substring(7)); // Remove 'Bearer ' prefix
+    const now = new Date();
 
-    // Find session in database
-    const session = await Session.findOne({ 
-      sessionToken,
-      expiresAt: { $gt: new Date() } // Check not expired
-    });
+    // Find session in cache, then in database (only ever by hash: see scripts/hashSessionTokens.js
+    // for sessions created before hashing)
+    let cached = authCache.sessions.get(sessionToken);
+    if (!cached) {
+      const found = await Session.findOne({ 
+        sessionToken,
+        expiresAt: { $gt: now } // Check not expired
+      }).lean();
+      if (found) {
+        cached = { session: found, lastWriteAt: 0 };
+        authCache.sessions.set(sessionToken, cached);
+      }
+    }
+    const session = cached?.session;
 
-    if (!session) {
+    if (!session || new Date(session.expiresAt) <= now) {
+      authCache.invalidateSessionToken(sessionToken);
       return res.status(401).json({ 
         error: 'Unauthorized', 
         message: 'Invalid or expired session' 
@@ -32,51 +67,115 @@ async function authenticate(req, res, next) {
     }
 
     // Check if user is banned
-    const bannedRecord = await BannedUser.findOne({login: session.login, $or:[
-      { expiresAt: null },
-      { expiresAt: { $gt: new Date() } }
-    ] });
+    const bannedRecord = await findActiveBanCached(session.login);
 
     if (bannedRecord) {
-      await session.deleteOne();
+      await Session.deleteOne({ _id: session._id });
+      authCache.invalidateSessionToken(sessionToken);
       return res.status(403).json({
         error: 'Forbidden',
         message: `User is banned${bannedRecord.reason ? `: ${bannedRecord.reason}` : ''}`
       });
     }
 
-    // Get client IP
-    const clientIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() 
-                     || req.headers['x-real-ip'] 
-                     || req.socket.remoteAddress 
-                     || req.connection.remoteAddress;
+    // Get client IP and user agent (after the privacy mode, so stored values compare alike)
+    const clientIp = getStoredClientIp(req);
+    const userAgent = getStoredUserAgent(req);
+    const usedIps = session.usedIps || [];
+    const isNewIp = Boolean(clientIp && !usedIps.includes(clientIp));
+    const ipChanged = Boolean(clientIp && clientIp !== session.lastIp);
+    const userAgentChanged = Boolean(userAgent && userAgent !== session.userAgent);
+
+    // Session anomaly rules (distinct IPs, IP changes, user agent change)
+    const anomalies = (ipChanged || userAgentChanged)
+      ? evaluateSessionAnomalies(session, { clientIp, userAgent, now })
+      : [];
+
+    anomalies.forEach(anomaly => {
+      logEvent(
+        req,
+        session.login,
+        session.campusId || 0,
+        'security_session_anomaly',
+        { sessionId: session._id, rule: anomaly.rule, action: anomaly.action, ...anomaly.detail }
+      );
+    });
+
+    if (anomalies.some(anomaly => anomaly.action === 'revoke')) {
+      await Session.deleteOne({ _id: session._id });
+      authCache.invalidateSessionToken(sessionToken);
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Session revoked for security reasons, please log in again'
+      });
+    }
 
-    // Update last_activity and track IP
+    // Update last_activity, slide the expiry (never past the absolute limit) and track IP
+    const absoluteExpiresAt = getAbsoluteExpiry(session);
     const updates = {
-      lastActivity: new Date()
+      lastActivity: now,
+      expiresAt: getSlidingExpiry(absoluteExpiresAt, now),
+      absoluteExpiresAt
     };
 
     // Add IP to usedIps if not already present
-    if (clientIp && !session.usedIps.includes(clientIp)) {
+    if (isNewIp) {
       updates.$addToSet = { usedIps: clientIp };
     }
+    if (ipChanged) {
+      updates.lastIp = clientIp;
+      // The first IP seen on a legacy session is not a change
+      if (session.lastIp) {
+        updates.lastIpChangeAt = now;
+      }
+    }
+    if (userAgentChanged) {
+      updates.userAgent = userAgent;
+    }
+    if (anomalies.length > 0) {
+      updates.flagged = true;
+      updates.$push = {
+        flags: {
+          $each: anomalies.map(anomaly => ({ ...anomaly, at: now })),
+          $slice: -50
+        }
+      };
+    }
 
-    await Session.updateOne(
-      { sessionToken },
-      updates
-    );
+    // Keep the cached copy current, write to DB2 only when due
+    Object.assign(session, {
+      lastActivity: updates.lastActivity,
+      expiresAt: updates.expiresAt,
+      absoluteExpiresAt,
+      lastIp: updates.lastIp ?? session.lastIp,
+      lastIpChangeAt: updates.lastIpChangeAt ?? session.lastIpChangeAt,
+      userAgent: updates.userAgent ?? session.userAgent,
+      flagged: updates.flagged ?? session.flagged
+    });
+    if (isNewIp) {
+      session.usedIps = [...usedIps, clientIp];
+    }
+
+    if (ipChanged || userAgentChanged || authCache.isWriteDue(cached, now.getTime())) {
+      cached.lastWriteAt = now.getTime();
+      await Session.updateOne(
+        { _id: session._id },
+        updates
+      );
+    }
 
     // Attach user data to request object for use in routes
     req.user = session.userData;
     req.session = {
-      token: sessionToken,
+      id: session._id,
       login: session.login,
-      campusId: session.campusId
+      campusId: session.campusId,
+      roles: resolveRoles(session.login, session.userData)
     };
     
     next();
   } catch (error) {
-    console.error('Authentication error:', error.message);
+    req.log.error('Authentication error', { error });
     return res.status(500).json({ 
       error: 'Internal Server Error', 
       message: 'Authentication service unavailable' 
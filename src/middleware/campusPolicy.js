@@ -0,0 +1,89 @@
+const authConfig = require('../config/auth');
+const { hasRole } = require('./roles');
+
+/**
+ * Get the campuses the requester may read
+ * - API keys: their campus list (empty list = all campuses)
+ * - Users holding a cross-campus role (CROSS_CAMPUS_ROLES): all campuses
+ * - Everyone else: their own session campus
+ * @param {object} req - Express request object
+ * @returns {number[]|null} - Allowed campus IDs, or null for all campuses
+ */
+function getAllowedCampusIds(req) {
+  if (req.apiKey) {
+    return req.apiKey.campusIds.length > 0 ? req.apiKey.campusIds : null;
+  }
+
+  if (authConfig.crossCampusRoles.some(role => hasRole(req, role))) {
+    return null;
+  }
+
+  return req.session?.campusId ? [req.session.campusId] : [];
+}
+
+/**
+ * Check whether the requester may read data of a campus
+ * @param {object} req - Express request object
+ * @param {number} campusId - Campus ID of the data
+ * @returns {boolean}
+ */
+function canAccessCampus(req, campusId) {
+  const allowed = getAllowedCampusIds(req);
+  return allowed === null || allowed.includes(campusId);
+}
+
+/**
+ * Send the standard out-of-scope response
+ */
+function sendCampusForbidden(res, message) {
+  return res.status(403).json({
+    error: 'Forbidden',
+    message
+  });
+}
+
+/**
+ * Middleware limiting the `campusId` query parameter to the requester's campuses
+ * - missing campusId: defaults to the requester's campus when there is exactly one
+ * - campusId=all or another campus: 403 unless the requester may read every campus
+ * Invalid values are left to validateCampusId() in the route (400).
+ */
+function enforceCampusScope(req, res, next) {
+  // Public routes have no requester to scope
+  if (!req.session) {
+    return next();
+  }
+
+  const allowed = getAllowedCampusIds(req);
+  if (allowed === null) {
+    return next();
+  }
+
+  const requested = req.query.campusId;
+
+  if (!requested) {
+    if (allowed.length !== 1) {
+      return sendCampusForbidden(res, `You can only access campuses ${allowed.join(', ') || '(none)'}: campusId is required`);
+    }
+    req.query.campusId = String(allowed[0]);
+    return next();
+  }
+
+  if (requested === 'all') {
+    return sendCampusForbidden(res, 'You are not allowed to access data of all campuses');
+  }
+
+  const parsed = parseInt(requested, 10);
+  if (!isNaN(parsed) && !allowed.includes(parsed)) {
+    return sendCampusForbidden(res, `You are not allowed to access data of campus ${parsed}`);
+  }
+
+  next();
+}
+
+module.exports = {
+  getAllowedCampusIds,
+  canAccessCampus,
+  sendCampusForbidden,
+  enforceCampusScope
+};
@@ -1,4 +1,13 @@
 const { EventLog } = require('../models');
+const { getClientIp } = require('../utils/request');
+const { anonymizeIp, anonymizeUserAgent, anonymizeDetail } = require('../utils/ipPrivacy');
+const EventLogBuffer = require('../utils/eventLogBuffer');
+const eventLogConfig = require('../config/eventLog');
+const { logger } = require('../utils/log');
+
+// Events are queued and written to DB2 in batches (see utils/eventLogBuffer.js)
+const eventLogBuffer = new EventLogBuffer({ model: EventLog, ...eventLogConfig });
+eventLogBuffer.start();
 
 /**
  * Log API requests to EventLog (DB2)
@@ -8,23 +17,17 @@ const { EventLog } = require('../models');
  * @param {string} eventType - Type of event (e.g., 'api_request', 'dashboard_view', 'student_list', etc.)
  * @param {object} eventData - Additional event data (query params, route, etc.)
  */
-async function logEvent(req, login, campusId, eventType, eventData = {}) {
+function logEvent(req, login, campusId, eventType, eventData = {}) {
   try {
-    // Get client IP
-    const clientIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() 
-                     || req.headers['x-real-ip'] 
-                     || req.socket?.remoteAddress 
-                     || req.connection?.remoteAddress
-                     || 'unknown';
-
-    // Get user agent
-    const userAgent = req.headers['user-agent'] || 'unknown';
+    // Get client IP and user agent (privacy mode applied, see config/privacy.js)
+    const clientIp = anonymizeIp(getClientIp(req) || 'unknown');
+    const userAgent = anonymizeUserAgent(req.headers['user-agent'] || 'unknown');
 
-    await EventLog.create({
+    eventLogBuffer.push({
       login,
       campusId,
       eventType,
-      eventData,
+      eventData: anonymizeDetail(eventData),
       ip: clientIp,
       userAgent,
       method: req.method,
@@ -33,25 +36,25 @@ async function logEvent(req, login, campusId, eventType, eventData = {}) {
     });
   } catch (error) {
     // Silent fail - don't break the main request if logging fails
-    console.error('EventLog error:', error.message);
+    req.log.error('EventLog error', { error });
   }
 }
 
 /**
  * Simplified logEvent for non-request contexts
  */
-async function logEventSimple(login, campusId, eventType, eventData = {}) {
+function logEventSimple(login, campusId, eventType, eventData = {}) {
   try {
-    await EventLog.create({
+    eventLogBuffer.push({
       login,
       campusId,
       eventType,
-      eventData,
+      eventData: anonymizeDetail(eventData),
       timestamp: new Date()
     });
   } catch (error) {
-    console.error('EventLog error:', error.message);
+    logger.error('EventLog error', { error });
   }
 }
 
-module.exports = { logEvent, logEventSimple };
+module.exports = { logEvent, logEventSimple, eventLogBuffer };
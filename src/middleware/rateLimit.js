@@ -0,0 +1,136 @@
+const { RateLimitCounter } = require('../models');
+const rateLimitConfig = require('../config/rateLimit');
+const { getClientIp } = require('../utils/request');
+
+/**
+ * In-memory fixed-window counters (per instance)
+ */
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+
+    // Drop finished windows once a minute
+    this.cleanupTimer = setInterval(() => {
+      const now = Date.now();
+      for (const [key, counter] of this.counters) {
+        if (counter.expiresAt <= now) {
+          this.counters.delete(key);
+        }
+      }
+    }, 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Add points to a window counter
+   * @returns {Promise<number>} - Counter value after the increment
+   */
+  async increment(key, cost, expiresAt) {
+    const counter = this.counters.get(key) || { count: 0, expiresAt };
+    counter.count += cost;
+    this.counters.set(key, counter);
+    return counter.count;
+  }
+}
+
+/**
+ * DB2 fixed-window counters, shared by all instances
+ * Old windows are removed by the TTL index on expiresAt.
+ */
+class MongoStore {
+  async increment(key, cost, expiresAt) {
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      { $inc: { count: cost }, $setOnInsert: { expiresAt: new Date(expiresAt) } },
+      { upsert: true, new: true, lean: true }
+    );
+    return counter.count;
+  }
+}
+
+const memoryStore = new MemoryStore();
+const store = rateLimitConfig.store === 'mongo' ? new MongoStore() : memoryStore;
+
+/**
+ * Identify the requester: API key, then session login, then client IP
+ * @param {object} req - Express request object
+ * @returns {{id: string, type: string}}
+ */
+function getRequester(req) {
+  if (req.apiKey) {
+    return { id: `key:${req.apiKey.id}`, type: 'apiKey' };
+  }
+  if (req.session?.login) {
+    return { id: `user:${req.session.login}`, type: 'user' };
+  }
+  return { id: `ip:${getClientIp(req) || 'unknown'}`, type: 'ip' };
+}
+
+/**
+ * Get the point cost of a request from the route cost table
+ * @param {object} req - Express request object
+ * @returns {number}
+ */
+function getRequestCost(req) {
+  const path = req.originalUrl.split('?')[0];
+  const rule = rateLimitConfig.routeCosts.find(r => r.path.test(path));
+  if (!rule) {
+    return 1;
+  }
+  return typeof rule.cost === 'function' ? rule.cost(req, rateLimitConfig) : rule.cost;
+}
+
+/**
+ * Middleware factory for a fixed-window rate limiter
+ * Sets X-RateLimit-Limit / -Remaining / -Reset and answers 429 with Retry-After
+ * @param {Object} options
+ * @param {string} [options.name] - Limiter name (separate counters per name)
+ * @param {Object|number} [options.points] - Points per window, per requester type or for all
+ * @param {number} [options.windowMs] - Window length
+ * @param {Function} [options.cost] - (req) => number, defaults to the route cost table
+ * @returns {Function} - Express middleware
+ */
+function rateLimit({
+  name = 'api',
+  points = rateLimitConfig.points,
+  windowMs = rateLimitConfig.windowMs,
+  cost = getRequestCost
+} = {}) {
+  return async (req, res, next) => {
+    const requester = getRequester(req);
+    const limit = typeof points === 'number' ? points : points[requester.type];
+    const requestCost = cost(req);
+
+    const now = Date.now();
+    const windowStart = now - (now % windowMs);
+    const resetAt = windowStart + windowMs;
+    const key = `${name}:${requester.id}:${windowStart}`;
+
+    let count;
+    try {
+      count = await store.increment(key, requestCost, resetAt);
+    } catch (error) {
+      // Shared store unavailable: fall back to this instance's counters
+      req.log.warn('Rate limit store error', { error });
+      count = await memoryStore.increment(key, requestCost, resetAt);
+    }
+
+    res.set({
+      'X-RateLimit-Limit': String(limit),
+      'X-RateLimit-Remaining': String(Math.max(0, limit - count)),
+      'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000))
+    });
+
+    if (count > limit) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((resetAt - now) / 1000))));
+      return res.status(429).json({
+        error: 'Too Many Requests',
+        message: `Rate limit exceeded, retry in ${Math.ceil((resetAt - now) / 1000)}s`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { rateLimit, getRequestCost, getRequester };
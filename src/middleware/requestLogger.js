@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const loggingConfig = require('../config/logging');
+const { logger } = require('../utils/log');
+
+// Propagated request IDs must be short and printable
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Reuse the caller's request ID when valid, otherwise generate one
+ * @param {object} req - Express request object
+ * @returns {string}
+ */
+function getRequestId(req) {
+  const incoming = req.get(loggingConfig.requestIdHeader);
+  return incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+}
+
+/**
+ * Request logging middleware
+ * - sets req.id and the X-Request-Id response header
+ * - attaches req.log, a logger bound to the request ID
+ * - writes one line per request: method, route, status, latency and login
+ */
+function requestLogger(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  req.id = getRequestId(req);
+  req.log = logger.child({ requestId: req.id });
+  res.set(loggingConfig.requestIdHeader, req.id);
+
+  let logged = false;
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    req.log.write(req.path === '/health' ? 'debug' : level, 'request', {
+      method: req.method,
+      // Route pattern (e.g. /api/students/:login) when a route matched
+      route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+      path: req.originalUrl.split('?')[0],
+      status,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      login: req.session?.login || null,
+      aborted: !res.writableFinished
+    });
+  };
+
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+  next();
+}
+
+module.exports = { requestLogger, getRequestId };
@@ -0,0 +1,71 @@
+const authConfig = require('../config/auth');
+
+/**
+ * Roles known to the API
+ * - student: every authenticated 42 user
+ * - staff:   42 staff members (`staff?` flag) and admins
+ * - admin:   logins listed in ADMIN_LOGINS
+ */
+const ROLES = ['student', 'staff', 'admin'];
+
+/**
+ * Resolve the roles of a user from its 42 data
+ * @param {string} login - User login
+ * @param {Object} userData - User data from /v2/me
+ * @returns {string[]} - Roles of the user
+ */
+function resolveRoles(login, userData) {
+  const roles = ['student'];
+  const isAdmin = authConfig.adminLogins.includes(login);
+
+  if (userData?.['staff?'] === true || isAdmin) {
+    roles.push('staff');
+  }
+  if (isAdmin) {
+    roles.push('admin');
+  }
+
+  return roles;
+}
+
+/**
+ * Check whether the request was made by a user with the given role
+ * @param {object} req - Express request object
+ * @param {string} role - Role name
+ * @returns {boolean}
+ */
+function hasRole(req, role) {
+  return Boolean(req.session?.roles?.includes(role));
+}
+
+/**
+ * Middleware factory restricting a route to users holding at least one of the roles
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+function requireRole(...roles) {
+  const unknown = roles.filter(role => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown role(s): ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.session) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    if (!roles.some(role => hasRole(req, role))) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Requires role: ${roles.join(' or ')}`
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { ROLES, resolveRoles, hasRole, requireRole };
@@ -32,12 +32,4 @@ db2.on('disconnected', () => {
   console.log('⚠️  MongoDB Secondary (DB2) disconnected');
 });
 
-// Graceful shutdown
-process.on('SIGINT', async () => {
-  await db1.close();
-  await db2.close();
-  console.log('MongoDB connections closed through app termination');
-  process.exit(0);
-});
-
 module.exports = { db1, db2 };
@@ -84,6 +84,7 @@ projectSchema.index({ login: 1, project: 1 }, { unique: true });
 // Optimization: Additional indexes for common queries
 projectSchema.index({ campusId: 1, status: 1 }); // Projects by campus and status
 projectSchema.index({ login: 1, status: 1 }); // User projects by status
+projectSchema.index({ project: 1, status: 1 }); // Attempts of a project (/api/projects/:name)
 
 // Location Stats Schema - Son 3 ayın lokasyon verileri (tek kayıt per öğrenci)
 const locationStatsSchema = new mongoose.Schema({
@@ -104,6 +105,20 @@ const locationStatsSchema = new mongoose.Schema({
   lastUpdated: { type: Date, default: Date.now }
 }, { timestamps: true });
 
+// Location Session Schema - Login / logout intervals of a student on a workstation
+// One document per 42 location (see POST /api/locations/sessions)
+const locationSessionSchema = new mongoose.Schema({
+  id: { type: Number, required: true, unique: true }, // 42 location ID
+  login: { type: String, required: true },
+  campusId: { type: Number, required: true },
+  host: { type: String, default: null }, // Workstation, e.g. "k1m12s3"
+  beginAt: { type: Date, required: true }, // Login
+  endAt: { type: Date, default: null } // Logout, null while the student is still logged in
+}, { timestamps: true });
+
+locationSessionSchema.index({ campusId: 1, login: 1, beginAt: 1 }); // Intervals of a campus, per student by time
+locationSessionSchema.index({ login: 1, beginAt: 1 }); // Intervals of a student by time
+
 // Patronage Schema - Godfathers (patroned by) ve Children (patroning)
 const patronageSchema = new mongoose.Schema({
   login: { type: String, required: true, unique: true, index: true },
@@ -167,6 +182,7 @@ projectReviewSchema.index({ evaluator: 1, evaluated: 1, project: 1, date: 1 }, {
 projectReviewSchema.index({ campusId: 1, status: 1 }); // Reviews by campus and status
 projectReviewSchema.index({ evaluator: 1 }); // Reviews by evaluator
 projectReviewSchema.index({ evaluated: 1, project: 1 }); // Reviews by evaluated user and project
+projectReviewSchema.index({ project: 1 }); // Reviews of a project (/api/projects/:name)
 
 const eventlogSchema = new mongoose.Schema({
   login: { type: String, required: true, index: true },
@@ -178,40 +194,150 @@ const eventlogSchema = new mongoose.Schema({
   userAgent: { type: String },
   method: { type: String }, // GET, POST, etc.
   path: { type: String }, // Request path
-  timestamp: { type: Date, default: Date.now }
+  timestamp: { type: Date, default: Date.now },
+  restoredAt: { type: Date } // Set when re-imported from an archive (see scripts/eventlog.js)
 }, { timestamps: true });
 
 eventlogSchema.index({ login: 1, eventType: 1, timestamp: -1 }); // Kullanıcı olayları zaman sırasına göre
 eventlogSchema.index({ campusId: 1, eventType: 1, timestamp: -1 }); // Kampüs olayları zaman sırasına göre
+eventlogSchema.index({ 'eventData.viewedLogin': 1, eventType: 1, timestamp: -1 }); // Profil görüntülemeleri
+eventlogSchema.index({ eventType: 1, timestamp: 1 }); // Retention sweeper, all-campus analytics
 
 // Session Schema - User sessions
 const sessionSchema = new mongoose.Schema({
-  sessionToken: { type: String, required: true, unique: true, index: true },
+  sessionToken: { type: String, required: true, unique: true, index: true }, // SHA-256 hash of the bearer token (never the raw token)
+  refreshToken: { type: String, default: undefined }, // SHA-256 hash of the current refresh token
+  previousRefreshToken: { type: String, default: undefined }, // Hash of the last rotated refresh token (reuse detection)
+  refreshedAt: { type: Date, default: null }, // Last refresh token rotation
   login: { type: String, required: true, index: true },
   campusId: { type: Number, required: true },
   userData: { type: mongoose.Schema.Types.Mixed }, // Full user data from 42 API
   usedIps: [{ type: String }], // Array of IPs this session was used from
+  lastIp: { type: String, default: null }, // IP of the most recent request
+  lastIpChangeAt: { type: Date, default: null }, // When lastIp last changed
+  userAgent: { type: String, default: null }, // User agent of the most recent request
+  // Anomaly detection (too many IPs, IP changes, user agent change)
+  flagged: { type: Boolean, default: false },
+  flags: [{
+    rule: { type: String, required: true },
+    action: { type: String, required: true },
+    detail: { type: mongoose.Schema.Types.Mixed },
+    at: { type: Date, default: Date.now }
+  }],
   lastActivity: { type: Date, default: Date.now, index: true },
   createdAt: { type: Date, default: Date.now },
-  expiresAt: { type: Date, required: true, index: true }
+  expiresAt: { type: Date, required: true, index: true }, // Sliding expiry (lastActivity + idle TTL)
+  refreshExpiresAt: { type: Date, default: null }, // Refresh token expiry
+  absoluteExpiresAt: { type: Date, default: null } // Hard limit, never extended
 }, { timestamps: true });
 
 sessionSchema.index({ login: 1, lastActivity: -1 }); // User sessions by last activity
+sessionSchema.index({ refreshToken: 1 }, { unique: true, sparse: true }); // Refresh lookup
+sessionSchema.index({ previousRefreshToken: 1 }, { sparse: true }); // Refresh token reuse detection
+sessionSchema.index({ flagged: 1, lastActivity: -1 }); // Flagged sessions listing
 sessionSchema.index({ expiresAt: 1 }); // For automatic cleanup of expired sessions
 
 const bannedUserSchema = new mongoose.Schema({
   login: { type: String, required: true, unique: true, index: true },
   campusId: { type: Number, required: true },
   reason: { type: String, default: null },
+  bannedBy: { type: String, default: null }, // Admin login who issued the ban
+  liftedBy: { type: String, default: null }, // Admin login who lifted the ban (ban is then expired)
   createdAt: { type: Date, default: Date.now },
   expiresAt: { type: Date, default: null }
 }, { timestamps: true });
 
+bannedUserSchema.index({ expiresAt: 1, createdAt: -1 }); // Active/expired ban listing
+
+// API Key Schema - Service-to-service access (bots, scripts)
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true }, // Human readable label
+  keyHash: { type: String, required: true, unique: true, index: true }, // SHA-256 hash of the key (never the raw key)
+  prefix: { type: String, required: true }, // First characters of the key, to recognize it in listings
+  scopes: [{ type: String }], // Örn: "students:read", "reviews:read"
+  campusIds: [{ type: Number }], // Allowed campuses (empty = all campuses)
+  createdBy: { type: String, required: true }, // Admin login
+  expiresAt: { type: Date, default: null }, // null = never expires
+  lastUsedAt: { type: Date, default: null },
+  lastUsedIp: { type: String, default: null },
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: String, default: null }
+}, { timestamps: true });
+
+apiKeySchema.index({ revokedAt: 1, createdAt: -1 }); // Key listing
+
+// User Setting Schema - Per-user privacy preferences
+const userSettingSchema = new mongoose.Schema({
+  login: { type: String, required: true, unique: true, index: true },
+  // Reciprocal: see who viewed my profile, and appear in the viewer list of profiles I view
+  showProfileViewers: { type: Boolean, default: false },
+  // When showProfileViewers was last enabled: earlier views are never revealed
+  showProfileViewersSince: { type: Date, default: null }
+}, { timestamps: true });
+
+// Rate Limit Counter Schema - Shared fixed-window counters (RATE_LIMIT_STORE=mongo)
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "<limiter>:<requester>:<window start>"
+  count: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true }
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL cleanup of old windows
+
+// Campus Schema - Campus registry (names, timezones), edited through PUT /api/admin/campuses/:id
+const campusSchema = new mongoose.Schema({
+  id: { type: Number, required: true, unique: true }, // 42 campus ID (campusId in other collections)
+  name: { type: String, required: true },
+  city: { type: String, default: null },
+  country: { type: String, default: null },
+  timezone: { type: String, default: 'UTC' }, // IANA timezone of month / week / day boundaries
+  active: { type: Boolean, default: true }
+}, { timestamps: true });
+
+campusSchema.index({ active: 1, name: 1 }); // Campus listing
+
+// Leaderboard Snapshot Schema - Daily campus ranks of a student (see src/jobs/leaderboardSnapshots.js)
+const leaderboardSnapshotSchema = new mongoose.Schema({
+  day: { type: String, required: true }, // "YYYY-MM-DD" (UTC)
+  campusId: { type: Number, required: true },
+  login: { type: String, required: true },
+  // metric -> { rank, value }, for each metric the student is ranked on
+  ranks: { type: mongoose.Schema.Types.Mixed, default: {} },
+  takenAt: { type: Date, required: true }
+});
+
+leaderboardSnapshotSchema.index({ campusId: 1, day: 1, login: 1 }, { unique: true }); // Campus ranks of a day
+leaderboardSnapshotSchema.index({ login: 1, day: 1 }); // Rank history of a student
+leaderboardSnapshotSchema.index({ day: 1 }); // Scheduler check and retention
+
+// Leaderboard Snapshot Day Schema - Campus days whose snapshot was fully written
+// (movers and history only read complete days)
+const leaderboardSnapshotDaySchema = new mongoose.Schema({
+  day: { type: String, required: true }, // "YYYY-MM-DD" (UTC)
+  campusId: { type: Number, required: true },
+  students: { type: Number, default: 0 },
+  completedAt: { type: Date, required: true }
+});
+
+leaderboardSnapshotDaySchema.index({ campusId: 1, day: 1 }, { unique: true }); // Complete days of a campus
+leaderboardSnapshotDaySchema.index({ day: 1 }); // Scheduler check and retention
+
+// Cache Entry Schema - Shared response cache (CACHE_STORE=mongo) and its loader locks
+const cacheEntrySchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true }, // "<cache>:<key>" or "lock:<cache>:<key>"
+  value: { type: mongoose.Schema.Types.Mixed },
+  owner: { type: String, default: undefined }, // Lock holder token (lock entries only)
+  cachedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true }
+});
+
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL cleanup
 
 // DB1 (Primary) - All data except project reviews
 const Student = db1.model("Student", studentSchema);
 const Project = db1.model("Project", projectSchema);
 const LocationStats = db1.model("LocationStats", locationStatsSchema);
+const LocationSession = db1.model("LocationSession", locationSessionSchema);
 const Patronage = db1.model("Patronage", patronageSchema);
 const Feedback = db1.model("Feedback", feedbackSchema);
 
@@ -221,5 +347,12 @@ const ProjectReview = db2.model("ProjectReview", projectReviewSchema);
 const EventLog = db2.model("EventLog", eventlogSchema);
 const Session = db2.model("Session", sessionSchema);
 const BannedUser = db2.model("BannedUser", bannedUserSchema);
+const ApiKey = db2.model("ApiKey", apiKeySchema);
+const RateLimitCounter = db2.model("RateLimitCounter", rateLimitCounterSchema);
+const UserSetting = db2.model("UserSetting", userSettingSchema);
+const CacheEntry = db2.model("CacheEntry", cacheEntrySchema);
+const LeaderboardSnapshot = db2.model("LeaderboardSnapshot", leaderboardSnapshotSchema);
+const LeaderboardSnapshotDay = db2.model("LeaderboardSnapshotDay", leaderboardSnapshotDaySchema);
+const Campus = db2.model("Campus", campusSchema);
 
-module.exports = { Student, Project, LocationStats, Patronage, Feedback, ProjectReview, Student2, EventLog, Session, BannedUser };
\ No newline at end of file
+module.exports = { Student, Project, LocationStats, LocationSession, Patronage, Feedback, ProjectReview, Student2, EventLog, Session, BannedUser, ApiKey, RateLimitCounter, UserSetting, CacheEntry, LeaderboardSnapshot, LeaderboardSnapshotDay, Campus };
\ No newline at end of file
@@ -0,0 +1,558 @@
+const express = require('express');
+const router = express.Router();
+const { BannedUser, Student, Session, ApiKey, Campus } = require('../models');
+const { requireRole } = require('../middleware/roles');
+const { API_KEY_SCOPES, generateApiKey } = require('../middleware/apiKey');
+const { logEvent, eventLogBuffer } = require('../middleware/logger');
+const { revokeUserSessions } = require('../controllers/sessionController');
+const { formatCampus, invalidateCampusTimeZone } = require('../controllers/campusController');
+const { isValidTimeZone } = require('../utils/dateRange');
+const authCache = require('../utils/authCache');
+const analyticsRoutes = require('./analytics');
+const { validateLogin, validateCampusId, validateObjectId } = require('../utils/validators');
+
+// Every admin route requires the admin role
+router.use(requireRole('admin'));
+
+// Usage analytics over EventLog
+router.use('/analytics', analyticsRoutes);
+
+/**
+ * Validate an optional future date (ISO 8601)
+ * @param {string} input - Date from body
+ * @returns {Date|null} - Parsed date or null if empty
+ */
+function validateFutureDate(input) {
+  if (input === undefined || input === null || input === '') {
+    return null;
+  }
+
+  const date = new Date(input);
+  if (typeof input !== 'string' || isNaN(date.getTime())) {
+    throw new Error('Invalid expiresAt: must be an ISO 8601 date');
+  }
+  if (date <= new Date()) {
+    throw new Error('Invalid expiresAt: must be in the future');
+  }
+
+  return date;
+}
+
+/**
+ * Find the campus of a login (students collection, then its sessions)
+ * @param {string} login - User login
+ * @returns {Promise<number|null>}
+ */
+async function findCampusId(login) {
+  const student = await Student.findOne({ login }).select('campusId').lean();
+  if (student) {
+    return student.campusId;
+  }
+  const session = await Session.findOne({ login }).select('campusId').lean();
+  return session ? session.campusId : null;
+}
+
+/**
+ * GET /api/admin/bans?status={active|expired|all}&campusId={campusId}&page={page}&limit={limit}
+ * List bans with pagination
+ */
+router.get('/bans', async (req, res) => {
+  try {
+    let validatedCampusId = null;
+    try {
+      validatedCampusId = validateCampusId(req.query.campusId);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const status = req.query.status || 'active';
+    if (!['active', 'expired', 'all'].includes(status)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid status: must be active, expired or all'
+      });
+    }
+
+    const page = parseInt(req.query.page, 10);
+    const limit = parseInt(req.query.limit, 10);
+    const validatedPage = (!isNaN(page) && page > 0) ? page : 1;
+    const validatedLimit = (!isNaN(limit) && limit > 0 && limit <= 100) ? limit : 50;
+    const skip = (validatedPage - 1) * validatedLimit;
+
+    const now = new Date();
+    const filter = {};
+    if (validatedCampusId !== null) {
+      filter.campusId = validatedCampusId;
+    }
+    if (status === 'active') {
+      filter.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === 'expired') {
+      filter.expiresAt = { $ne: null, $lte: now };
+    }
+
+    const [bans, total] = await Promise.all([
+      BannedUser.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(validatedLimit)
+        .lean(),
+      BannedUser.countDocuments(filter)
+    ]);
+
+    res.json({
+      bans: bans.map(ban => ({
+        ...ban,
+        active: ban.expiresAt === null || ban.expiresAt > now
+      })),
+      pagination: {
+        total,
+        page: validatedPage,
+        limit: validatedLimit,
+        totalPages: Math.ceil(total / validatedLimit)
+      }
+    });
+  } catch (error) {
+    req.log.error('Bans fetch error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch bans',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/bans
+ * Ban a login and revoke its sessions
+ * Body: { login, reason?, expiresAt?, campusId? }
+ */
+router.post('/bans', async (req, res) => {
+  try {
+    let validatedLogin, validatedExpiresAt, validatedCampusId;
+    try {
+      validatedLogin = validateLogin(req.body?.login);
+      validatedExpiresAt = validateFutureDate(req.body?.expiresAt);
+      validatedCampusId = validateCampusId(req.body?.campusId);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const reason = typeof req.body?.reason === 'string'
+      ? req.body.reason.trim().substring(0, 500) || null
+      : null;
+
+    if (validatedLogin === req.session.login) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'You cannot ban yourself'
+      });
+    }
+
+    const campusId = validatedCampusId !== null ? validatedCampusId : await findCampusId(validatedLogin);
+    if (campusId === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Unknown login: campusId is required'
+      });
+    }
+
+    const ban = await BannedUser.findOneAndUpdate(
+      { login: validatedLogin },
+      {
+        login: validatedLogin,
+        campusId,
+        reason,
+        bannedBy: req.session.login,
+        liftedBy: null,
+        createdAt: new Date(),
+        expiresAt: validatedExpiresAt
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    const revokedSessions = await revokeUserSessions(validatedLogin);
+
+    logEvent(
+      req,
+      req.session.login,
+      campusId,
+      'user_banned',
+      {
+        bannedLogin: validatedLogin,
+        reason,
+        expiresAt: validatedExpiresAt,
+        revokedSessions
+      }
+    );
+
+    res.status(201).json({ ban, revokedSessions });
+  } catch (error) {
+    req.log.error('Ban error', { error });
+    res.status(500).json({
+      error: 'Failed to ban user',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/bans/:login
+ * Lift an active ban (the record is kept as expired)
+ */
+router.delete('/bans/:login', async (req, res) => {
+  try {
+    let validatedLogin;
+    try {
+      validatedLogin = validateLogin(req.params.login);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const now = new Date();
+    const ban = await BannedUser.findOneAndUpdate(
+      {
+        login: validatedLogin,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+      },
+      { expiresAt: now, liftedBy: req.session.login },
+      { new: true }
+    ).lean();
+
+    if (!ban) {
+      return res.status(404).json({ error: 'No active ban for this login' });
+    }
+    authCache.invalidateLogin(validatedLogin);
+
+    logEvent(
+      req,
+      req.session.login,
+      ban.campusId,
+      'user_unbanned',
+      { unbannedLogin: validatedLogin, reason: ban.reason }
+    );
+
+    res.json({ ban });
+  } catch (error) {
+    req.log.error('Unban error', { error });
+    res.status(500).json({
+      error: 'Failed to lift ban',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/sessions/flagged?campusId={campusId}&includeExpired={true|false}&page={page}&limit={limit}
+ * List sessions flagged by the anomaly rules
+ */
+router.get('/sessions/flagged', async (req, res) => {
+  try {
+    let validatedCampusId = null;
+    try {
+      validatedCampusId = validateCampusId(req.query.campusId);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const page = parseInt(req.query.page, 10);
+    const limit = parseInt(req.query.limit, 10);
+    const validatedPage = (!isNaN(page) && page > 0) ? page : 1;
+    const validatedLimit = (!isNaN(limit) && limit > 0 && limit <= 100) ? limit : 50;
+    const skip = (validatedPage - 1) * validatedLimit;
+
+    const filter = { flagged: true };
+    if (validatedCampusId !== null) {
+      filter.campusId = validatedCampusId;
+    }
+    if (req.query.includeExpired !== 'true') {
+      filter.expiresAt = { $gt: new Date() };
+    }
+
+    const [sessions, total] = await Promise.all([
+      Session.find(filter)
+        .select('login campusId usedIps lastIp userAgent flags lastActivity createdAt expiresAt')
+        .sort({ lastActivity: -1 })
+        .skip(skip)
+        .limit(validatedLimit)
+        .lean(),
+      Session.countDocuments(filter)
+    ]);
+
+    res.json({
+      sessions: sessions.map(({ _id, ...session }) => ({ id: _id, ...session })),
+      pagination: {
+        total,
+        page: validatedPage,
+        limit: validatedLimit,
+        totalPages: Math.ceil(total / validatedLimit)
+      }
+    });
+  } catch (error) {
+    req.log.error('Flagged sessions fetch error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch flagged sessions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/api-keys?includeRevoked={true|false}
+ * List API keys (never returns the keys themselves)
+ */
+router.get('/api-keys', async (req, res) => {
+  try {
+    const filter = req.query.includeRevoked === 'true' ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(filter)
+      .select('-keyHash')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ apiKeys });
+  } catch (error) {
+    req.log.error('API keys fetch error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch API keys',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/api-keys
+ * Create an API key. The raw key is only returned in this response.
+ * Body: { name, scopes: string[], campusIds?: number[], expiresAt? }
+ */
+router.post('/api-keys', async (req, res) => {
+  try {
+    const name = typeof req.body?.name === 'string'
+      ? req.body.name.replace(/[^a-zA-Z0-9\s._-]/g, '').trim().substring(0, 100)
+      : '';
+    if (!name) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid name: must be a non-empty string'
+      });
+    }
+
+    const scopes = req.body?.scopes;
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(s => API_KEY_SCOPES.includes(s))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid scopes: must be a non-empty subset of ${API_KEY_SCOPES.join(', ')}`
+      });
+    }
+
+    let validatedCampusIds = [];
+    let validatedExpiresAt;
+    try {
+      const campusIds = req.body?.campusIds ?? [];
+      if (!Array.isArray(campusIds)) {
+        throw new Error('Invalid campusIds: must be an array');
+      }
+      validatedCampusIds = campusIds.map(id => {
+        const parsed = validateCampusId(String(id));
+        if (parsed === null) {
+          throw new Error('Invalid campusIds: use an empty list for all campuses');
+        }
+        return parsed;
+      });
+      validatedExpiresAt = validateFutureDate(req.body?.expiresAt);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const { key, keyHash, prefix } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name,
+      keyHash,
+      prefix,
+      scopes: [...new Set(scopes)],
+      campusIds: [...new Set(validatedCampusIds)],
+      createdBy: req.session.login,
+      expiresAt: validatedExpiresAt
+    });
+
+    logEvent(
+      req,
+      req.session.login,
+      req.session.campusId || 0,
+      'api_key_created',
+      { apiKeyId: apiKey._id, name, scopes: apiKey.scopes, campusIds: apiKey.campusIds }
+    );
+
+    const { keyHash: _keyHash, ...apiKeyData } = apiKey.toObject();
+    res.status(201).json({ key, apiKey: apiKeyData });
+  } catch (error) {
+    req.log.error('API key create error', { error });
+    res.status(500).json({
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ * Revoke an API key
+ */
+router.delete('/api-keys/:id', async (req, res) => {
+  try {
+    let validatedId;
+    try {
+      validatedId = validateObjectId(req.params.id);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: validatedId, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.session.login },
+      { new: true }
+    )
+      .select('-keyHash')
+      .lean();
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    authCache.invalidateApiKey(apiKey._id);
+
+    logEvent(
+      req,
+      req.session.login,
+      req.session.campusId || 0,
+      'api_key_revoked',
+      { apiKeyId: apiKey._id, name: apiKey.name }
+    );
+
+    res.json({ apiKey });
+  } catch (error) {
+    req.log.error('API key revoke error', { error });
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate an optional registry text field (name, city, country)
+ * @returns {string|null|undefined} - undefined when absent, null to clear
+ */
+function validateCampusText(input, field) {
+  if (input === undefined) {
+    return undefined;
+  }
+  if (input === null || input === '') {
+    return null;
+  }
+  if (typeof input !== 'string' || input.trim().length > 100) {
+    throw new Error(`Invalid ${field}: must be a string of at most 100 characters`);
+  }
+  return input.trim();
+}
+
+/**
+ * PUT /api/admin/campuses/:id
+ * Create or update a campus of the registry
+ * Body: { name, city?, country?, timezone?, active? } (name is required on creation)
+ */
+router.put('/campuses/:id', async (req, res) => {
+  try {
+    let campusId;
+    const update = {};
+    try {
+      campusId = validateCampusId(req.params.id);
+      if (campusId === null) {
+        throw new Error('Invalid id: must be a campus ID');
+      }
+
+      const body = req.body || {};
+      for (const field of ['name', 'city', 'country']) {
+        const value = validateCampusText(body[field], field);
+        if (value !== undefined) {
+          update[field] = value;
+        }
+      }
+      if (update.name === null) {
+        throw new Error('Invalid name: must be a non-empty string');
+      }
+      if (body.timezone !== undefined) {
+        if (!isValidTimeZone(body.timezone)) {
+          throw new Error('Invalid timezone: must be an IANA timezone, e.g. Europe/Istanbul');
+        }
+        update.timezone = body.timezone;
+      }
+      if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') {
+          throw new Error('Invalid active: must be a boolean');
+        }
+        update.active = body.active;
+      }
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const existing = await Campus.exists({ id: campusId });
+    if (!existing && !update.name) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid name: required to create a campus'
+      });
+    }
+
+    const campus = await Campus.findOneAndUpdate(
+      { id: campusId },
+      { $set: update },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    ).lean();
+    invalidateCampusTimeZone(campusId);
+
+    logEvent(
+      req,
+      req.session.login,
+      req.session.campusId || 0,
+      existing ? 'campus_updated' : 'campus_created',
+      { campusId, ...update }
+    );
+
+    res.status(existing ? 200 : 201).json({ campus: formatCampus(campus) });
+  } catch (error) {
+    req.log.error('Campus update error', { error });
+    res.status(500).json({
+      error: 'Failed to update campus',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/metrics/eventlog
+ * EventLog write buffer metrics (queued, written, dropped, failed flushes)
+ */
+router.get('/metrics/eventlog', (req, res) => {
+  res.json(eventLogBuffer.getMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,322 @@
+const express = require('express');
+const router = express.Router();
+const { EventLog, Student } = require('../models');
+const { validateCampusId, validateLimit } = require('../utils/validators');
+
+// Event types written by the read routes
+const VIEW_EVENT_TYPES = [
+  'dashboard_view',
+  'student_list_view',
+  'student_detail_view',
+  'student_wrapped_view',
+  'student_pools_view',
+  'leaderboard_view',
+  'leaderboard_movers_view',
+  'leaderboard_history_view',
+  'campus_compare_view',
+  'pool_stats_view',
+  'project_stats_view'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 366;
+
+/**
+ * Parse the filters shared by every analytics endpoint
+ * - campusId (optional, "all" for every campus)
+ * - from / to (ISO dates, default: last 30 days)
+ * Every $match built from these filters on [campusId,] eventType and timestamp:
+ * the { campusId, eventType, timestamp } index serves one campus, the
+ * { eventType, timestamp } index every campus.
+ * @param {object} query - Express req.query
+ * @returns {{campusId: number|null, from: Date, to: Date}}
+ */
+function parseAnalyticsFilters(query) {
+  const campusId = validateCampusId(query.campusId);
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime())) {
+    throw new Error('Invalid from/to: must be ISO 8601 dates');
+  }
+  if (from >= to) {
+    throw new Error('Invalid range: from must be before to');
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    throw new Error(`Invalid range: at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  return { campusId, from, to };
+}
+
+/**
+ * Build the leading $match stage of an analytics pipeline
+ */
+function buildMatch({ campusId, from, to }, eventTypes) {
+  const match = {};
+  if (campusId !== null) {
+    match.campusId = campusId;
+  }
+  match.eventType = Array.isArray(eventTypes) ? { $in: eventTypes } : eventTypes;
+  match.timestamp = { $gte: from, $lt: to };
+  return match;
+}
+
+/**
+ * Validate the granularity parameter
+ * @returns {string} - $dateToString format of the bucket
+ */
+function validateGranularity(granularity) {
+  if (!granularity || granularity === 'day') {
+    return '%Y-%m-%d';
+  }
+  if (granularity === 'hour') {
+    return '%Y-%m-%dT%H:00';
+  }
+  throw new Error('Invalid granularity: must be day or hour');
+}
+
+/**
+ * GET /api/admin/analytics/events?granularity={day|hour}&eventType={eventType}&campusId=&from=&to=
+ * Event counts per eventType per day or hour
+ */
+router.get('/events', async (req, res) => {
+  try {
+    let filters, format;
+    try {
+      filters = parseAnalyticsFilters(req.query);
+      format = validateGranularity(req.query.granularity);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const eventType = typeof req.query.eventType === 'string'
+      ? req.query.eventType.replace(/[^a-z_]/g, '').substring(0, 50)
+      : '';
+
+    const rows = await EventLog.aggregate([
+      { $match: buildMatch(filters, eventType || VIEW_EVENT_TYPES) },
+      {
+        $group: {
+          _id: {
+            eventType: '$eventType',
+            bucket: { $dateToString: { format, date: '$timestamp', timezone: 'UTC' } }
+          },
+          count: { $sum: 1 }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          eventType: '$_id.eventType',
+          bucket: '$_id.bucket',
+          count: 1
+        }
+      },
+      { $sort: { bucket: 1, eventType: 1 } }
+    ]);
+
+    res.json({
+      from: filters.from,
+      to: filters.to,
+      campusId: filters.campusId,
+      granularity: req.query.granularity || 'day',
+      series: rows
+    });
+  } catch (error) {
+    req.log.error('Analytics events error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch event analytics',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/analytics/active-users?granularity={day|hour}&campusId=&from=&to=
+ * Unique active users per bucket and over the whole range
+ */
+router.get('/active-users', async (req, res) => {
+  try {
+    let filters, format;
+    try {
+      filters = parseAnalyticsFilters(req.query);
+      format = validateGranularity(req.query.granularity);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const [result] = await EventLog.aggregate([
+      { $match: buildMatch(filters, VIEW_EVENT_TYPES) },
+      {
+        $facet: {
+          series: [
+            {
+              $group: {
+                _id: {
+                  bucket: { $dateToString: { format, date: '$timestamp', timezone: 'UTC' } },
+                  login: '$login'
+                }
+              }
+            },
+            { $group: { _id: '$_id.bucket', activeUsers: { $sum: 1 } } },
+            { $project: { _id: 0, bucket: '$_id', activeUsers: 1 } },
+            { $sort: { bucket: 1 } }
+          ],
+          total: [
+            { $group: { _id: '$login' } },
+            { $count: 'uniqueUsers' }
+          ]
+        }
+      }
+    ]);
+
+    res.json({
+      from: filters.from,
+      to: filters.to,
+      campusId: filters.campusId,
+      granularity: req.query.granularity || 'day',
+      uniqueUsers: result?.total[0]?.uniqueUsers || 0,
+      series: result?.series || []
+    });
+  } catch (error) {
+    req.log.error('Analytics active users error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch active users',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/analytics/top-viewed?limit={limit}&campusId=&from=&to=
+ * Most viewed student profiles (detail and wrapped views)
+ */
+router.get('/top-viewed', async (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = parseAnalyticsFilters(req.query);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+    const limit = Math.min(validateLimit(req.query.limit), 100);
+
+    const rows = await EventLog.aggregate([
+      { $match: buildMatch(filters, ['student_detail_view', 'student_wrapped_view']) },
+      { $match: { 'eventData.viewedLogin': { $type: 'string' } } },
+      {
+        $group: {
+          _id: '$eventData.viewedLogin',
+          views: { $sum: 1 },
+          viewers: { $addToSet: '$login' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          login: '$_id',
+          views: 1,
+          uniqueViewers: { $size: '$viewers' }
+        }
+      },
+      { $sort: { views: -1, login: 1 } },
+      { $limit: limit }
+    ]);
+
+    // Students live in DB1: one batched lookup
+    const students = await Student.find({ login: { $in: rows.map(r => r.login) } })
+      .select('login displayname image')
+      .lean();
+    const studentMap = {};
+    students.forEach(s => {
+      studentMap[s.login] = s;
+    });
+
+    res.json({
+      from: filters.from,
+      to: filters.to,
+      campusId: filters.campusId,
+      topViewed: rows.map(row => ({
+        ...row,
+        student: studentMap[row.login]
+          ? {
+              login: studentMap[row.login].login,
+              displayname: studentMap[row.login].displayname,
+              image: studentMap[row.login].image
+            }
+          : null
+      }))
+    });
+  } catch (error) {
+    req.log.error('Analytics top viewed error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch top viewed profiles',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/analytics/filters?campusId=&from=&to=
+ * Popular sortBy, order and status filters of the student list
+ */
+router.get('/filters', async (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = parseAnalyticsFilters(req.query);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const countBy = (field) => [
+      { $group: { _id: { $ifNull: [field, 'none'] }, count: { $sum: 1 } } },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+      { $sort: { count: -1 } }
+    ];
+
+    const [result] = await EventLog.aggregate([
+      { $match: buildMatch(filters, 'student_list_view') },
+      {
+        $facet: {
+          sortBy: countBy('$eventData.sortBy'),
+          order: countBy('$eventData.order'),
+          status: countBy('$eventData.status'),
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    res.json({
+      from: filters.from,
+      to: filters.to,
+      campusId: filters.campusId,
+      totalListViews: result?.total[0]?.count || 0,
+      sortBy: result?.sortBy || [],
+      order: result?.order || [],
+      status: result?.status || []
+    });
+  } catch (error) {
+    req.log.error('Analytics filters error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch filter analytics',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const axios = require('axios');
+const authConfig = require('../config/auth');
+const {
+  createSession,
+  refreshSession,
+  findActiveBan,
+  getPrimaryCampusId
+} = require('../controllers/sessionController');
+const { logEvent } = require('../middleware/logger');
+const { getStoredClientIp, getStoredUserAgent } = require('../utils/ipPrivacy');
+const { getCookie } = require('../utils/request');
+
+// Cookie binding the OAuth state to the browser that started the login
+const STATE_COOKIE = 'oauth_state';
+
+/**
+ * Options of the state cookie (sent back on the top-level redirect from 42, never to scripts)
+ */
+function getStateCookieOptions() {
+  return {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: Boolean(authConfig.redirectUri?.startsWith('https:')),
+    path: '/auth'
+  };
+}
+
+/**
+ * Sign an OAuth state value (nonce + issue time) with the state secret
+ */
+function signState(nonce, issuedAt) {
+  return crypto
+    .createHmac('sha256', authConfig.stateSecret)
+    .update(`${nonce}.${issuedAt}`)
+    .digest('hex');
+}
+
+/**
+ * Create a signed OAuth state parameter
+ * Its nonce is also set in the state cookie, see verifyState.
+ * @returns {{state: string, nonce: string}} - state is "nonce.issuedAt.signature"
+ */
+function createState() {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = Date.now();
+  return { state: `${nonce}.${issuedAt}.${signState(nonce, issuedAt)}`, nonce };
+}
+
+/**
+ * Verify a state parameter returned by 42
+ * @param {string} state - State from query
+ * @param {string|null} cookieNonce - Nonce of the state cookie of this browser
+ * @returns {boolean} - True if the signature is valid, not expired and the nonce
+ *   matches the cookie (the login was started by this browser)
+ */
+function verifyState(state, cookieNonce) {
+  if (!state || typeof state !== 'string' || !cookieNonce) {
+    return false;
+  }
+
+  const [nonce, issuedAt, signature] = state.split('.');
+  if (!nonce || !issuedAt || !signature) {
+    return false;
+  }
+
+  const age = Date.now() - parseInt(issuedAt, 10);
+  if (isNaN(age) || age < 0 || age > authConfig.stateTtlMs) {
+    return false;
+  }
+
+  const expected = Buffer.from(signState(nonce, issuedAt), 'hex');
+  const received = Buffer.from(signature, 'hex');
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return false;
+  }
+
+  const stateNonce = Buffer.from(nonce);
+  const browserNonce = Buffer.from(cookieNonce);
+  return stateNonce.length === browserNonce.length && crypto.timingSafeEqual(stateNonce, browserNonce);
+}
+
+/**
+ * Check that the OAuth application is configured
+ */
+function isConfigured() {
+  return Boolean(authConfig.clientId && authConfig.clientSecret && authConfig.redirectUri && authConfig.stateSecret);
+}
+
+/**
+ * GET /auth/login
+ * Redirect the browser to the 42 authorization page
+ * The state nonce is kept in a short-lived httpOnly cookie checked by the callback
+ */
+router.get('/login', (req, res) => {
+  if (!isConfigured()) {
+    return res.status(503).json({
+      error: 'Service Unavailable',
+      message: '42 OAuth is not configured'
+    });
+  }
+
+  const { state, nonce } = createState();
+  res.cookie(STATE_COOKIE, nonce, { ...getStateCookieOptions(), maxAge: authConfig.stateTtlMs });
+
+  const params = new URLSearchParams({
+    client_id: authConfig.clientId,
+    redirect_uri: authConfig.redirectUri,
+    response_type: 'code',
+    scope: authConfig.scope,
+    state
+  });
+
+  res.redirect(`${authConfig.authorizeUrl}?${params.toString()}`);
+});
+
+/**
+ * GET /auth/callback?code={code}&state={state}
+ * Exchange the authorization code, fetch /v2/me and create a Session
+ */
+router.get('/callback', async (req, res) => {
+  try {
+    if (!isConfigured()) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: '42 OAuth is not configured'
+      });
+    }
+
+    if (req.query.error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Authorization denied: ${String(req.query.error).substring(0, 100)}`
+      });
+    }
+
+    const code = req.query.code;
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Missing authorization code'
+      });
+    }
+
+    // The state cookie is single use: cleared whatever the outcome
+    const cookieNonce = getCookie(req, STATE_COOKIE);
+    res.clearCookie(STATE_COOKIE, getStateCookieOptions());
+
+    if (!verifyState(req.query.state, cookieNonce)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid or expired state'
+      });
+    }
+
+    // Exchange the code for a 42 access token
+    let accessToken;
+    try {
+      const tokenResponse = await axios.post(authConfig.tokenUrl, {
+        grant_type: 'authorization_code',
+        client_id: authConfig.clientId,
+        client_secret: authConfig.clientSecret,
+        code,
+        redirect_uri: authConfig.redirectUri,
+        state: req.query.state
+      }, { timeout: 10000 });
+      accessToken = tokenResponse.data?.access_token;
+    } catch (exchangeError) {
+      if (exchangeError.response && exchangeError.response.status < 500) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid authorization code'
+        });
+      }
+      throw exchangeError;
+    }
+
+    if (!accessToken) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: '42 did not return an access token'
+      });
+    }
+
+    // Fetch the authenticated user
+    const meResponse = await axios.get(`${authConfig.apiUrl}/v2/me`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: 10000
+    });
+    const userData = meResponse.data;
+
+    if (!userData?.login) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: '42 returned an invalid user'
+      });
+    }
+
+    // Refuse banned users
+    const bannedRecord = await findActiveBan(userData.login);
+    if (bannedRecord) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `User is banned${bannedRecord.reason ? `: ${bannedRecord.reason}` : ''}`
+      });
+    }
+
+    const tokens = await createSession(userData, getStoredClientIp(req), getStoredUserAgent(req));
+
+    // Log the event
+    logEvent(
+      req,
+      userData.login,
+      getPrimaryCampusId(userData),
+      'user_login',
+      { userId: userData.id }
+    );
+
+    if (authConfig.frontendRedirectUrl) {
+      const fragment = new URLSearchParams({
+        token: tokens.sessionToken,
+        expiresAt: tokens.expiresAt.toISOString(),
+        refreshToken: tokens.refreshToken,
+        refreshExpiresAt: tokens.refreshExpiresAt.toISOString()
+      });
+      return res.redirect(`${authConfig.frontendRedirectUrl}#${fragment.toString()}`);
+    }
+
+    res.json({
+      ...tokens,
+      user: {
+        id: userData.id,
+        login: userData.login,
+        displayname: userData.displayname,
+        image: userData.image
+      }
+    });
+  } catch (error) {
+    req.log.error('OAuth callback error', { error });
+    res.status(500).json({
+      error: 'Login failed',
+      message: 'Could not complete 42 authentication'
+    });
+  }
+});
+
+/**
+ * POST /auth/refresh
+ * Rotate the session token pair using a refresh token
+ * Body: { refreshToken }
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = req.body?.refreshToken;
+    if (!refreshToken || typeof refreshToken !== 'string' || !/^[a-f0-9]{64}$/.test(refreshToken)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Missing or malformed refreshToken'
+      });
+    }
+
+    const result = await refreshSession(refreshToken);
+    if (result.error) {
+      return res.status(result.error.status).json({
+        error: result.error.status === 403 ? 'Forbidden' : 'Unauthorized',
+        message: result.error.message
+      });
+    }
+
+    logEvent(
+      req,
+      result.login,
+      result.campusId || 0,
+      'session_refresh',
+      {}
+    );
+
+    res.json(result.tokens);
+  } catch (error) {
+    req.log.error('Session refresh error', { error });
+    res.status(500).json({
+      error: 'Failed to refresh session',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
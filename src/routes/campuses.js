@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { Campus } = require('../models');
+const { validateCampusId } = require('../utils/validators');
+const { resolveDateRange, formatDateRange } = require('../utils/dateRange');
+const { computeCampusStats, getCampusTimeZone, formatCampus } = require('../controllers/campusController');
+const { canAccessCampus, sendCampusForbidden } = require('../middleware/campusPolicy');
+const { logEvent } = require('../middleware/logger');
+const { SwrCache } = require('../utils/swrCache');
+const cacheConfig = require('../config/cache');
+
+// At most this many campuses per comparison
+const MAX_COMPARED_CAMPUSES = 10;
+
+// Campus statistics per campus and window, shared by comparisons (dashboard cache durations)
+const campusStatsCache = new SwrCache({ name: 'campusStats', ...cacheConfig.dashboard });
+
+/**
+ * Validate a comma separated list of campus IDs
+ * @param {string} ids - e.g. "1,2,3"
+ * @returns {number[]} - Unique campus IDs, in request order
+ */
+function validateCampusIds(ids) {
+  if (!ids || typeof ids !== 'string') {
+    throw new Error('Invalid ids: must be a comma separated list of campus IDs');
+  }
+
+  const campusIds = [];
+  ids.split(',').forEach(id => {
+    const campusId = validateCampusId(id.trim());
+    if (campusId === null) {
+      throw new Error('Invalid ids: must be a comma separated list of campus IDs');
+    }
+    if (!campusIds.includes(campusId)) {
+      campusIds.push(campusId);
+    }
+  });
+
+  if (campusIds.length > MAX_COMPARED_CAMPUSES) {
+    throw new Error(`Invalid ids: at most ${MAX_COMPARED_CAMPUSES} campuses`);
+  }
+  return campusIds;
+}
+
+/**
+ * GET /api/campuses?includeInactive={true|false}
+ * Campus registry: names, cities and timezones
+ */
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { active: true };
+    const campuses = await Campus.find(filter).sort({ name: 1 }).lean();
+
+    res.json({ campuses: campuses.map(formatCampus) });
+  } catch (error) {
+    req.log.error('Campuses fetch error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch campuses',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/campuses/compare?ids={id,id,...}&period={week|month|quarter|year}&offset={n}&from={YYYY-MM-DD}&to={YYYY-MM-DD}
+ * Side by side campus statistics, normalized per active student (default window: current month)
+ * Each campus resolves the window in its own timezone.
+ */
+router.get('/compare', async (req, res) => {
+  try {
+    let campusIds;
+    try {
+      campusIds = validateCampusIds(req.query.ids);
+      // Validate the window once; each campus resolves it in its own timezone below
+      resolveDateRange(req.query);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const forbidden = campusIds.find(campusId => !canAccessCampus(req, campusId));
+    if (forbidden !== undefined) {
+      return sendCampusForbidden(res, `You are not allowed to access data of campus ${forbidden}`);
+    }
+
+    const now = new Date();
+    const results = await Promise.all(campusIds.map(async campusId => {
+      const range = resolveDateRange(req.query, now, await getCampusTimeZone(campusId));
+      const cached = await campusStatsCache.get(
+        `${campusId}:${range.from.toISOString()}:${range.to.toISOString()}`,
+        () => computeCampusStats(campusId, range)
+      );
+      return { ...cached.value, range: formatDateRange(range) };
+    }));
+
+    logEvent(
+      req,
+      req.user?.login || 'unknown',
+      req.session?.campusId || 0,
+      'campus_compare_view',
+      { campusIds, period: results[0].range.period }
+    );
+
+    res.json({ campuses: results });
+  } catch (error) {
+    req.log.error('Campus compare error', { error });
+    res.status(500).json({
+      error: 'Failed to compare campuses',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/campuses/:id
+ * One campus of the registry
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    let campusId;
+    try {
+      campusId = validateCampusId(req.params.id);
+      if (campusId === null) {
+        throw new Error('Invalid id: must be a campus ID');
+      }
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const campus = await Campus.findOne({ id: campusId }).lean();
+    if (!campus) {
+      return res.status(404).json({ error: 'Campus not found' });
+    }
+
+    res.json({ campus: formatCampus(campus) });
+  } catch (error) {
+    req.log.error('Campus fetch error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch campus',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
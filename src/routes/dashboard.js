@@ -3,419 +3,404 @@ const router = express.Router();
 const { Student, Project, LocationStats } = require('../models');
 const { validateCampusId } = require('../utils/validators');
 const { logEvent } = require('../middleware/logger');
+const { getOccupancyHeatmaps } = require('../controllers/occupancyController');
+const { getGradeDistribution, getCampusTimeZone } = require('../controllers/campusController');
+const { getProjectCounts, getStudentCards } = require('../controllers/leaderboardController');
+const { resolveDateRange, getMonthKeys, getRangeDays, toLocalMonth, formatDateRange } = require('../utils/dateRange');
+const { hasRole } = require('../middleware/roles');
+const { SwrCache } = require('../utils/swrCache');
+const cacheConfig = require('../config/cache');
+
+// Dashboard responses per campus and month (stale-while-revalidate, see utils/swrCache.js)
+const dashboardCache = new SwrCache({ name: 'dashboard', ...cacheConfig.dashboard });
+
+// Data covered by each section (returned as sectionScopes): range = the window,
+// all_time = every record, current = current student data
+const SECTION_SCOPES = {
+  topProjectSubmitters: 'range',
+  topLocationStats: 'range',
+  allTimeProjects: 'all_time',
+  allTimeWallet: 'current',
+  allTimePoints: 'current',
+  allTimeLevels: 'current',
+  gradeDistribution: 'current',
+  weeklyOccupancy: 'range',
+  hourlyOccupancy: 'range',
+  weekdayHourOccupancy: 'range'
+};
 
 /**
- * GET /api/dashboard?campusId={campusId}
- * Get dashboard statistics with MongoDB aggregation
+ * Calendar date (UTC midnight) of a LocationStats day entry, or null when outside the range
+ * LocationStats days are local days, compared with the local days of the range.
+ * @param {string} monthKey - "YYYY-MM"
+ * @param {string} day - Day of the month
+ * @param {{fromDay: string, toDay: string}} rangeDays - See getRangeDays()
+ * @returns {Date|null}
  */
-router.get('/', async (req, res) => {
-  try {
-    // Validate campus ID
-    let validatedCampusId = null;
-    try {
-      validatedCampusId = validateCampusId(req.query.campusId);
-    } catch (validationError) {
-      return res.status(400).json({
-        error: 'Bad Request',
-        message: validationError.message
-      });
-    }
-    
-    const now = new Date();
-    const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const campusMatch = validatedCampusId !== null ? { campusId: validatedCampusId } : {};
-    
-    // 1. Top Project Submitters (current month) - Most submitted projects
-    const topProjectSubmitters = await Project.aggregate([
-      {
-        $match: {
-          ...campusMatch,
-          status: 'success',
-          date: { $gte: currentMonth }
-        }
-      },
-      {
-        $group: {
-          _id: '$login',
-          projectCount: { $sum: 1 },
-          totalScore: { $sum: '$score' }
-        }
-      },
-      {
-        $lookup: {
-          from: 'students',
-          localField: '_id',
-          foreignField: 'login',
-          as: 'student'
-        }
-      },
-      { $unwind: { path: '$student', preserveNullAndEmptyArrays: true } },
-      {
-        $lookup: {
-          from: 'projects',
-          let: { studentLogin: '$student.login' },
-          pipeline: [
-            {
-              $match: {
-                $expr: {
-                  $and: [
-                    { $eq: ['$login', '$$studentLogin'] },
-                    { $eq: ['$status', 'success'] }
-                  ]
-                }
+function getLocationDay(monthKey, day, rangeDays) {
+  const key = `${monthKey}-${day.padStart(2, '0')}`;
+  const date = new Date(`${key}T00:00:00.000Z`);
+  if (isNaN(date.getTime()) || key < rangeDays.fromDay || key >= rangeDays.toDay) {
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Compute the dashboard statistics of a campus (null = every campus)
+ * Time based sections use the range; all-time sections and the grade
+ * distribution are current snapshots (see SECTION_SCOPES).
+ * @param {number|null} campusId - Campus ID
+ * @param {{from: Date, to: Date, timeZone: string}} range - Resolved window in the campus timezone (see utils/dateRange.js)
+ * @param {Date} now - Reference time
+ * @returns {Promise<Object>}
+ */
+async function computeDashboard(campusId, range, now) {
+  const currentMonth = toLocalMonth(now, range.timeZone);
+  const rangeDays = getRangeDays(range);
+  const campusMatch = campusId !== null ? { campusId } : {};
+  
+  // 1. Top Project Submitters (selected range) - Most submitted projects
+  const topProjectSubmitters = await Project.aggregate([
+    {
+      $match: {
+        ...campusMatch,
+        status: 'success',
+        date: { $gte: range.from.toISOString(), $lt: range.to.toISOString() }
+      }
+    },
+    {
+      $group: {
+        _id: '$login',
+        projectCount: { $sum: 1 },
+        totalScore: { $sum: '$score' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'students',
+        localField: '_id',
+        foreignField: 'login',
+        as: 'student'
+      }
+    },
+    { $unwind: { path: '$student', preserveNullAndEmptyArrays: true } },
+    {
+      $lookup: {
+        from: 'projects',
+        let: { studentLogin: '$student.login' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$login', '$$studentLogin'] },
+                  { $eq: ['$status', 'success'] }
+                ]
               }
-            },
-            { $count: 'total' }
-          ],
-          as: 'totalProjects'
-        }
-      },
-      {
-        $project: {
-          login: '$_id',
-          projectCount: 1,
-          totalScore: 1,
-          student: {
-            id: '$student.id',
-            login: '$student.login',
-            displayname: '$student.displayname',
-            image: '$student.image',
-            correction_point: '$student.correction_point',
-            wallet: '$student.wallet',
-            project_count: { $ifNull: [{ $arrayElemAt: ['$totalProjects.total', 0] }, 0] }
-          }
-        }
-      },
-      { $sort: { projectCount: -1 } },
-      { $limit: 10 }
-    ]);
-    
-    // 2. All Time Projects
-    const allTimeProjects = await Project.aggregate([
-      { 
-        $match: {
-          ...campusMatch,
-          status: 'success'
-        }
-      },
-      {
-        $group: {
-          _id: '$login',
-          projectCount: { $sum: 1 }
-        }
-      },
-      {
-        $lookup: {
-          from: 'students',
-          localField: '_id',
-          foreignField: 'login',
-          as: 'student'
-        }
-      },
-      { $unwind: { path: '$student', preserveNullAndEmptyArrays: true } },
-      {
-        $project: {
-          login: '$_id',
-          projectCount: 1,
-          student: {
-            id: '$student.id',
-            login: '$student.login',
-            displayname: '$student.displayname',
-            image: '$student.image',
-            correction_point: '$student.correction_point',
-            wallet: '$student.wallet',
-            project_count: '$projectCount'
-          }
-        }
-      },
-      { $sort: { projectCount: -1 } },
-      { $limit: 10 }
-    ]);
-    
-    // 3. All Time Wallet
-    const walletStudents = await Student.find(campusMatch)
-      .select('id login displayname image correction_point wallet')
-      .sort({ wallet: -1 })
-      .limit(10)
-      .lean();
-    
-    const walletData = await Promise.all(
-      walletStudents.map(async (s) => {
-        const projectCount = await Project.countDocuments({
-          login: s.login,
-          status: 'success'
-        });
-        return {
-          login: s.login,
-          wallet: s.wallet || 0,
-          student: {
-            id: s.id,
-            login: s.login,
-            displayname: s.displayname,
-            image: s.image,
-            correction_point: s.correction_point,
-            wallet: s.wallet,
-            project_count: projectCount
-          }
-        };
-      })
-    );
-    
-    // 4. All Time Correction Points
-    const pointsStudents = await Student.find(campusMatch)
-      .select('id login displayname image correction_point wallet')
-      .sort({ correction_point: -1 })
-      .limit(10)
-      .lean();
-    
-    const pointsData = await Promise.all(
-      pointsStudents.map(async (s) => {
-        const projectCount = await Project.countDocuments({
-          login: s.login,
-          status: 'success'
-        });
-        return {
-          login: s.login,
-          correctionPoint: s.correction_point || 0,
-          student: {
-            id: s.id,
-            login: s.login,
-            displayname: s.displayname,
-            image: s.image,
-            correction_point: s.correction_point,
-            wallet: s.wallet,
-            project_count: projectCount
-          }
-        };
-      })
-    );
-    
-    // 5. All Time Levels
-    const levelsStudents = await Student.find(campusMatch)
-      .select('id login displayname image correction_point wallet level')
-      .sort({ level: -1 })
-      .limit(10)
-      .lean();
-    
-    const levelsData = await Promise.all(
-      levelsStudents.map(async (s) => {
-        const projectCount = await Project.countDocuments({
-          login: s.login,
-          status: 'success'
-        });
-        return {
-          login: s.login,
-          level: s.level || 0,
-          student: {
-            id: s.id,
-            login: s.login,
-            displayname: s.displayname,
-            image: s.image,
-            correction_point: s.correction_point,
-            wallet: s.wallet,
-            project_count: projectCount
-          }
-        };
-      })
-    );
-    
-    // 6. Grade Distribution
-    const gradeDistribution = await Student.aggregate([
-      {
-        $match: {
-          ...campusMatch,
-          'active?': true,
-          'staff?': { $ne: true },
-          grade: { $ne: null }
-        }
-      },
-      {
-        $group: {
-          _id: '$grade',
-          value: { $sum: 1 }
+            }
+          },
+          { $count: 'total' }
+        ],
+        as: 'totalProjects'
+      }
+    },
+    {
+      $project: {
+        login: '$_id',
+        projectCount: 1,
+        totalScore: 1,
+        student: {
+          id: '$student.id',
+          login: '$student.login',
+          displayname: '$student.displayname',
+          image: '$student.image',
+          correction_point: '$student.correction_point',
+          wallet: '$student.wallet',
+          project_count: { $ifNull: [{ $arrayElemAt: ['$totalProjects.total', 0] }, 0] }
         }
-      },
-      {
-        $project: {
-          _id: 0,
-          name: '$_id',
-          value: 1
+      }
+    },
+    { $sort: { projectCount: -1 } },
+    { $limit: 10 }
+  ]);
+  
+  // 2. All Time Projects
+  const allTimeProjects = await Project.aggregate([
+    { 
+      $match: {
+        ...campusMatch,
+        status: 'success'
+      }
+    },
+    {
+      $group: {
+        _id: '$login',
+        projectCount: { $sum: 1 }
+      }
+    },
+    {
+      $lookup: {
+        from: 'students',
+        localField: '_id',
+        foreignField: 'login',
+        as: 'student'
+      }
+    },
+    { $unwind: { path: '$student', preserveNullAndEmptyArrays: true } },
+    {
+      $project: {
+        login: '$_id',
+        projectCount: 1,
+        student: {
+          id: '$student.id',
+          login: '$student.login',
+          displayname: '$student.displayname',
+          image: '$student.image',
+          correction_point: '$student.correction_point',
+          wallet: '$student.wallet',
+          project_count: '$projectCount'
         }
       }
-    ]);
-    
-    // 7. Top Location Stats (last 3 months)
-    const threeMonthsAgo = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-    const allLocationStats = await LocationStats.find(campusMatch).lean();
+    },
+    { $sort: { projectCount: -1 } },
+    { $limit: 10 }
+  ]);
+  
+  // 3-5. All Time Wallet, Correction Points and Levels
+  const topBy = (field) => Student.find(campusMatch)
+    .select('id login displayname image correction_point wallet level')
+    .sort({ [field]: -1 })
+    .limit(10)
+    .lean();
+  const [walletStudents, pointsStudents, levelsStudents] = await Promise.all([
+    topBy('wallet'),
+    topBy('correction_point'),
+    topBy('level')
+  ]);
+
+  // Project counts of every listed student in one query
+  const projectCounts = await getProjectCounts([
+    ...new Set([...walletStudents, ...pointsStudents, ...levelsStudents].map(s => s.login))
+  ]);
+  const toCard = (s) => ({
+    id: s.id,
+    login: s.login,
+    displayname: s.displayname,
+    image: s.image,
+    correction_point: s.correction_point,
+    wallet: s.wallet,
+    project_count: projectCounts[s.login] || 0
+  });
+
+  const walletData = walletStudents.map(s => ({
+    login: s.login,
+    wallet: s.wallet || 0,
+    student: toCard(s)
+  }));
+  const pointsData = pointsStudents.map(s => ({
+    login: s.login,
+    correctionPoint: s.correction_point || 0,
+    student: toCard(s)
+  }));
+  const levelsData = levelsStudents.map(s => ({
+    login: s.login,
+    level: s.level || 0,
+    student: toCard(s)
+  }));
+  
+  // 6. Grade Distribution
+  const gradeDistribution = await getGradeDistribution(campusMatch);
+  
+  // 7. Top Location Stats (selected range)
+  // Only the months of the range are loaded
+  const allLocationStats = await LocationStats.find(campusMatch)
+    .select(['login', ...getMonthKeys(range).map(monthKey => `months.${monthKey}`)])
+    .lean();
+  
+  const timeByStudent = {};
+  allLocationStats.forEach(locDoc => {
+    if (!locDoc.months || !locDoc.login) return;
     
-    const timeByStudent = {};
-    allLocationStats.forEach(locDoc => {
-      if (!locDoc.months || !locDoc.login) return;
-      
-      let totalMinutes = 0;
-      for (const [monthKey, monthData] of Object.entries(locDoc.months)) {
-        const monthDate = new Date(monthKey + '-01');
-        if (monthDate < threeMonthsAgo) continue;
-        
-        if (monthData.days) {
-          for (const durationStr of Object.values(monthData.days)) {
-            if (!durationStr || durationStr === "00:00:00") continue;
-            
-            const parts = durationStr.split(':');
-            const hours = parseInt(parts[0]) || 0;
-            const minutes = parseInt(parts[1]) || 0;
-            totalMinutes += hours * 60 + minutes;
-          }
+    let totalMinutes = 0;
+    for (const [monthKey, monthData] of Object.entries(locDoc.months)) {
+      if (monthData.days) {
+        for (const [day, durationStr] of Object.entries(monthData.days)) {
+          if (!durationStr || durationStr === "00:00:00") continue;
+          if (!getLocationDay(monthKey, day, rangeDays)) continue;
+          
+          const parts = durationStr.split(':');
+          const hours = parseInt(parts[0]) || 0;
+          const minutes = parseInt(parts[1]) || 0;
+          totalMinutes += hours * 60 + minutes;
         }
       }
-      
-      if (totalMinutes > 0) {
-        timeByStudent[locDoc.login] = (timeByStudent[locDoc.login] || 0) + totalMinutes;
-      }
-    });
-    
-    const topLogins = Object.entries(timeByStudent)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 3)
-      .map(([login]) => login);
-    
-    const topStudents = await Student.find({ login: { $in: topLogins } })
-      .select('login displayname image correction_point wallet')
-      .lean();
+    }
     
-    const studentMap = {};
-    topStudents.forEach(s => {
-      studentMap[s.login] = s;
+    if (totalMinutes > 0) {
+      timeByStudent[locDoc.login] = (timeByStudent[locDoc.login] || 0) + totalMinutes;
+    }
+  });
+  
+  const topLogins = Object.entries(timeByStudent)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([login]) => login);
+  
+  const topCards = await getStudentCards(topLogins);
+  
+  const topLocationStats = Object.entries(timeByStudent)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([login, totalMinutes]) => {
+      const card = topCards[login];
+      const hours = Math.floor(totalMinutes / 60);
+      const minutes = totalMinutes % 60;
+      
+      return {
+        login,
+        totalDuration: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`,
+        student: card
+          ? {
+              login: card.login,
+              displayname: card.displayname,
+              image: card.image,
+              correction_point: card.correction_point,
+              wallet: card.wallet,
+              project_count: card.project_count
+            }
+          : null
+      };
     });
+  
+  // 8. Hourly and weekday x hour occupancy (login / logout intervals)
+  const { hourlyOccupancy, weekdayHourOccupancy } = await getOccupancyHeatmaps(campusId, range, now);
+
+  // 9. Weekly Occupancy (unique students per weekday)
+  const dailyActivity = { Mon: new Set(), Tue: new Set(), Wed: new Set(), Thu: new Set(), Fri: new Set(), Sat: new Set(), Sun: new Set() };
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  
+  allLocationStats.forEach(locDoc => {
+    if (!locDoc.months) return;
     
-    const topLocationStats = await Promise.all(
-      Object.entries(timeByStudent)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 3)
-        .map(async ([login, totalMinutes]) => {
-          const student = studentMap[login];
-          const hours = Math.floor(totalMinutes / 60);
-          const minutes = totalMinutes % 60;
+    for (const [monthKey, monthData] of Object.entries(locDoc.months)) {
+      if (monthData.days) {
+        for (const [day, durationStr] of Object.entries(monthData.days)) {
+          if (!durationStr || durationStr === "00:00:00") continue;
+
+          const fullDate = getLocationDay(monthKey, day, rangeDays);
+          if (!fullDate) continue;
           
-          let studentData = null;
-          if (student) {
-            const projectCount = await Project.countDocuments({
-              login: student.login,
-              status: 'success'
-            });
-            
-            studentData = {
-              login: student.login,
-              displayname: student.displayname,
-              image: student.image,
-              correction_point: student.correction_point,
-              wallet: student.wallet,
-              project_count: projectCount
-            };
-          }
+          const parts = durationStr.split(':');
+          const hours = parseInt(parts[0]) || 0;
+          const minutes = parseInt(parts[1]) || 0;
           
-          return {
-            login,
-            totalDuration: `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:00`,
-            student: studentData
-          };
-        })
-    );
-    
-    // 8. Hourly and Weekly Occupancy
-    const threeMonthsAgoDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-    const hourlyActivity = Array(24).fill(0).map(() => ({ totalMinutes: 0, uniqueStudents: new Set() }));
-    const dailyActivity = { Mon: new Set(), Tue: new Set(), Wed: new Set(), Thu: new Set(), Fri: new Set(), Sat: new Set(), Sun: new Set() };
-    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    
-    allLocationStats.forEach(locDoc => {
-      if (!locDoc.months) return;
-      
-      for (const [monthKey, monthData] of Object.entries(locDoc.months)) {
-        const monthDate = new Date(monthKey + '-01');
-        if (monthDate < threeMonthsAgoDate) continue;
-        
-        if (monthData.days) {
-          for (const [day, durationStr] of Object.entries(monthData.days)) {
-            if (!durationStr || durationStr === "00:00:00") continue;
-            
-            const parts = durationStr.split(':');
-            const hours = parseInt(parts[0]) || 0;
-            const minutes = parseInt(parts[1]) || 0;
-            
-            if (hours === 0 && minutes === 0) continue;
-            
-            const totalMinutes = hours * 60 + minutes;
-            
-            // Distribute across working hours
-            const activeHours = Math.min(hours, 9);
-            for (let h = 9; h < 9 + activeHours && h < 24; h++) {
-              hourlyActivity[h].totalMinutes += Math.floor(totalMinutes / activeHours);
-              hourlyActivity[h].uniqueStudents.add(locDoc.login);
-            }
-            
-            // Add to daily activity
-            const fullDate = new Date(`${monthKey}-${day.padStart(2, '0')}`);
-            if (!isNaN(fullDate.getTime())) {
-              const dayOfWeek = dayNames[fullDate.getDay()];
-              if (dailyActivity[dayOfWeek]) {
-                dailyActivity[dayOfWeek].add(locDoc.login);
-              }
-            }
-          }
+          if (hours === 0 && minutes === 0) continue;
+          
+          // Add to daily activity
+          dailyActivity[dayNames[fullDate.getUTCDay()]].add(locDoc.login);
         }
       }
-    });
-    
-    const hourlyCount = hourlyActivity.map(h => h.uniqueStudents.size);
-    const maxOccupancy = Math.max(...hourlyCount, 1);
-    const hourlyOccupancy = hourlyCount.map((count, hour) => ({
-      hour: `${String(hour).padStart(2, '0')}:00`,
-      count,
-      occupancy: Math.round((count / maxOccupancy) * 100)
-    }));
-    
-    const dailyCount = {
-      Mon: dailyActivity.Mon.size,
-      Tue: dailyActivity.Tue.size,
-      Wed: dailyActivity.Wed.size,
-      Thu: dailyActivity.Thu.size,
-      Fri: dailyActivity.Fri.size,
-      Sat: dailyActivity.Sat.size,
-      Sun: dailyActivity.Sun.size
-    };
-    
-    const maxWeekly = Math.max(...Object.values(dailyCount), 1);
-    const weeklyOccupancy = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => ({
-      day,
-      count: dailyCount[day],
-      occupancy: Math.round((dailyCount[day] / maxWeekly) * 100)
-    }));
+    }
+  });
+  
+  const dailyCount = {
+    Mon: dailyActivity.Mon.size,
+    Tue: dailyActivity.Tue.size,
+    Wed: dailyActivity.Wed.size,
+    Thu: dailyActivity.Thu.size,
+    Fri: dailyActivity.Fri.size,
+    Sat: dailyActivity.Sat.size,
+    Sun: dailyActivity.Sun.size
+  };
+  
+  const maxWeekly = Math.max(...Object.values(dailyCount), 1);
+  const weeklyOccupancy = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'].map(day => ({
+    day,
+    count: dailyCount[day],
+    occupancy: Math.round((dailyCount[day] / maxWeekly) * 100)
+  }));
+
+  return {
+    currentMonth,
+    range: formatDateRange(range),
+    sectionScopes: SECTION_SCOPES,
+    topProjectSubmitters,
+    topLocationStats,
+    allTimeProjects,
+    allTimeWallet: walletData,
+    allTimePoints: pointsData,
+    allTimeLevels: levelsData,
+    gradeDistribution,
+    weeklyOccupancy,
+    hourlyOccupancy,
+    weekdayHourOccupancy
+  };
+}
+
+/**
+ * GET /api/dashboard?campusId={campusId}&period={week|month|quarter|year}&offset={n}&from={YYYY-MM-DD}&to={YYYY-MM-DD}&refresh={true|false}
+ * Get dashboard statistics for a window (default: current month)
+ * Cached per campus and window, refresh=true reloads for staff
+ */
+router.get('/', async (req, res) => {
+  try {
+    // Validate campus ID and date range
+    const now = new Date();
+    let validatedCampusId = null;
+    let range;
+    try {
+      validatedCampusId = validateCampusId(req.query.campusId);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    // Periods follow the campus timezone (UTC for every campus)
+    const timeZone = await getCampusTimeZone(validatedCampusId);
+    try {
+      range = resolveDateRange(req.query, now, timeZone);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
     
+    const refresh = req.query.refresh === 'true';
+    if (refresh && !hasRole(req, 'staff')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'refresh=true requires the staff role'
+      });
+    }
+
+    // Keyed by window, so a new period never serves the previous period's data
+    const cached = await dashboardCache.get(
+      `${validatedCampusId ?? 'all'}:${range.from.toISOString()}:${range.to.toISOString()}`,
+      () => computeDashboard(validatedCampusId, range, now),
+      { refresh }
+    );
+    res.set({
+      'X-Cache': cached.status.toUpperCase(),
+      'Age': String(Math.floor((Date.now() - cached.cachedAt) / 1000))
+    });
+
     // Log the event
     logEvent(
       req,
       req.user?.login || 'unknown',
       validatedCampusId || 0,
       'dashboard_view',
-      { campusId: validatedCampusId, currentMonth }
+      { campusId: validatedCampusId, period: range.period, from: range.from, to: range.to, cache: cached.status }
     );
     
-    res.json({
-      currentMonth,
-      topProjectSubmitters,
-      topLocationStats,
-      allTimeProjects,
-      allTimeWallet: walletData,
-      allTimePoints: pointsData,
-      allTimeLevels: levelsData,
-      gradeDistribution,
-      weeklyOccupancy
-    });
+    res.json(cached.value);
     
   } catch (error) {
-    console.error('Dashboard error:', error);
+    req.log.error('Dashboard error', { error });
     res.status(500).json({ 
       error: 'Failed to fetch dashboard data',
       message: error.message
@@ -0,0 +1,218 @@
+const express = require('express');
+const router = express.Router();
+const { validateCampusId, validateLogin, validatePool, validateLimit } = require('../utils/validators');
+const { resolveDateRange, formatDateRange } = require('../utils/dateRange');
+const {
+  METRICS,
+  MIN_RATINGS,
+  SNAPSHOT_METRICS,
+  getLeaderboard,
+  getRankMovers,
+  getRankHistory
+} = require('../controllers/leaderboardController');
+const { getAllowedCampusIds } = require('../middleware/campusPolicy');
+const { getCampusTimeZone } = require('../controllers/campusController');
+const leaderboardConfig = require('../config/leaderboard');
+const { logEvent } = require('../middleware/logger');
+
+/**
+ * Validate a metric with snapshot history
+ * @returns {string}
+ */
+function validateSnapshotMetric(metric) {
+  if (!SNAPSHOT_METRICS.includes(metric)) {
+    throw new Error(`Invalid metric: rank history exists for ${SNAPSHOT_METRICS.join(', ')}`);
+  }
+  return metric;
+}
+
+/**
+ * Validate a number of days
+ * @returns {number}
+ */
+function validateDays(days, defaultDays, maxDays) {
+  if (days === undefined || days === '') {
+    return defaultDays;
+  }
+  const parsed = parseInt(days, 10);
+  if (isNaN(parsed) || parsed < 1 || parsed > maxDays) {
+    throw new Error(`Invalid days: must be between 1 and ${maxDays}`);
+  }
+  return parsed;
+}
+
+/**
+ * GET /api/leaderboards/:metric?campusId={campusId}&poolYear={year}&poolMonth={month}&period={period}&offset={n}&from={YYYY-MM-DD}&to={YYYY-MM-DD}&page={page}&limit={limit}
+ * Ranked students for a metric, with the caller's own rank
+ * metric: level, wallet, correction_point, projects, log_time, reviews_given, avg_rating
+ */
+router.get('/:metric', async (req, res) => {
+  try {
+    const { metric } = req.params;
+    if (!Object.prototype.hasOwnProperty.call(METRICS, metric)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid metric: must be one of ${Object.keys(METRICS).join(', ')}`
+      });
+    }
+
+    let campusId, pool, range, page, limit;
+    try {
+      campusId = validateCampusId(req.query.campusId);
+      pool = validatePool(req.query.poolYear, req.query.poolMonth);
+      // Without period / from / to, period metrics cover all time
+      const hasRange = ['period', 'offset', 'from', 'to'].some(key => req.query[key] !== undefined);
+      range = hasRange ? resolveDateRange(req.query, new Date(), await getCampusTimeZone(campusId)) : null;
+      page = parseInt(req.query.page, 10) || 1;
+      if (page < 1 || page > 10000) {
+        throw new Error('Invalid page: must be between 1 and 10000');
+      }
+      limit = Math.min(validateLimit(req.query.limit), 100);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const isPeriodMetric = METRICS[metric].kind === 'period';
+    const leaderboard = await getLeaderboard({
+      metric,
+      campusId,
+      pool,
+      range: isPeriodMetric ? range : null,
+      page,
+      limit,
+      // API keys are not ranked
+      login: req.apiKey ? null : req.session?.login || null
+    });
+
+    logEvent(
+      req,
+      req.user?.login || 'unknown',
+      campusId || 0,
+      'leaderboard_view',
+      { metric, campusId, pool, period: range?.period || null, page, limit }
+    );
+
+    res.json({
+      metric,
+      campusId,
+      pool,
+      range: isPeriodMetric && range ? formatDateRange(range) : null,
+      ...(metric === 'avg_rating' ? { minRatings: MIN_RATINGS } : {}),
+      leaderboard: leaderboard.rows,
+      me: leaderboard.me,
+      pagination: {
+        total: leaderboard.total,
+        page,
+        limit,
+        totalPages: Math.ceil(leaderboard.total / limit)
+      }
+    });
+  } catch (error) {
+    req.log.error('Leaderboard error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch leaderboard',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leaderboards/:metric/movers?campusId={campusId}&days={days}&limit={limit}
+ * Students who climbed or fell the most in the campus ranking over the last days (daily snapshots)
+ * metric: level, wallet, correction_point, projects
+ */
+router.get('/:metric/movers', async (req, res) => {
+  try {
+    let metric, campusId, days, limit;
+    try {
+      metric = validateSnapshotMetric(req.params.metric);
+      campusId = validateCampusId(req.query.campusId);
+      if (campusId === null) {
+        throw new Error('Invalid campusId: ranks are per campus, a campus is required');
+      }
+      days = validateDays(req.query.days, 7, leaderboardConfig.snapshots.retentionDays);
+      limit = Math.min(validateLimit(req.query.limit || 10), 50);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const movers = await getRankMovers({ metric, campusId, days, limit });
+
+    logEvent(
+      req,
+      req.user?.login || 'unknown',
+      campusId,
+      'leaderboard_movers_view',
+      { metric, campusId, days, limit }
+    );
+
+    res.json({
+      metric,
+      campusId,
+      days,
+      from: movers.from,
+      to: movers.to,
+      climbers: movers.climbers,
+      fallers: movers.fallers
+    });
+  } catch (error) {
+    req.log.error('Leaderboard movers error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch leaderboard movers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/leaderboards/:metric/history/:login?days={days}
+ * Daily campus rank of a student (daily snapshots)
+ * metric: level, wallet, correction_point, projects
+ */
+router.get('/:metric/history/:login', async (req, res) => {
+  try {
+    let metric, login, days;
+    try {
+      metric = validateSnapshotMetric(req.params.metric);
+      login = validateLogin(req.params.login);
+      days = validateDays(req.query.days, 90, leaderboardConfig.snapshots.retentionDays);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    // Only ranks held on campuses the requester may read
+    const history = await getRankHistory({ metric, login, days, campusIds: getAllowedCampusIds(req) });
+
+    logEvent(
+      req,
+      req.user?.login || 'unknown',
+      req.session?.campusId || 0,
+      'leaderboard_history_view',
+      { metric, viewedLogin: login, days }
+    );
+
+    res.json({
+      metric,
+      login,
+      days,
+      history
+    });
+  } catch (error) {
+    req.log.error('Leaderboard history error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch rank history',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+const express = require('express');
+const router = express.Router();
+const { LocationSession } = require('../models');
+const { logEvent } = require('../middleware/logger');
+const { requireRole } = require('../middleware/roles');
+const { canAccessCampus } = require('../middleware/campusPolicy');
+const { validateLogin } = require('../utils/validators');
+
+// Intervals accepted per request
+const MAX_BATCH_SIZE = 500;
+
+const requireAdmin = requireRole('admin');
+
+// Ingestion is done by API keys holding locations:write (checked at mount) or by admins
+router.use((req, res, next) => (req.apiKey ? next() : requireAdmin(req, res, next)));
+
+/**
+ * Parse an ISO 8601 date field
+ * @returns {Date|null}
+ */
+function parseDate(value, name, { nullable = false } = {}) {
+  if (value === null || value === undefined) {
+    if (nullable) return null;
+    throw new Error(`${name} is required`);
+  }
+  const date = typeof value === 'string' ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name}: must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+/**
+ * Validate one login / logout interval of the ingestion format
+ * @param {Object} entry - { id, login, campusId, host, beginAt, endAt }
+ * @returns {Object} - Normalized interval
+ */
+function validateLocationSession(entry) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Each session must be an object');
+  }
+  if (!Number.isInteger(entry.id) || entry.id <= 0) {
+    throw new Error('Invalid id: must be a positive integer (42 location ID)');
+  }
+  if (!Number.isInteger(entry.campusId) || entry.campusId <= 0) {
+    throw new Error('Invalid campusId: must be a positive integer');
+  }
+  if (entry.host !== undefined && entry.host !== null
+      && (typeof entry.host !== 'string' || entry.host.length > 64)) {
+    throw new Error('Invalid host: must be a string of at most 64 characters');
+  }
+
+  const beginAt = parseDate(entry.beginAt, 'beginAt');
+  const endAt = parseDate(entry.endAt, 'endAt', { nullable: true });
+  if (endAt && endAt < beginAt) {
+    throw new Error('Invalid endAt: must not be before beginAt');
+  }
+
+  return {
+    id: entry.id,
+    login: validateLogin(entry.login),
+    campusId: entry.campusId,
+    host: entry.host || null,
+    beginAt,
+    endAt
+  };
+}
+
+/**
+ * POST /api/locations/sessions
+ * Insert or update login / logout intervals (idempotent per 42 location ID)
+ * Body: { sessions: [{ id, login, campusId, host, beginAt, endAt }] }
+ */
+router.post('/sessions', async (req, res) => {
+  try {
+    const entries = req.body?.sessions;
+    if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `sessions must be an array of 1 to ${MAX_BATCH_SIZE} intervals`
+      });
+    }
+
+    const sessions = [];
+    const errors = [];
+    entries.forEach((entry, index) => {
+      try {
+        sessions.push(validateLocationSession(entry));
+      } catch (validationError) {
+        errors.push({ index, message: validationError.message });
+      }
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `${errors.length} invalid session(s), nothing was written`,
+        errors: errors.slice(0, 50)
+      });
+    }
+
+    const forbidden = [...new Set(sessions.map(s => s.campusId))].filter(id => !canAccessCampus(req, id));
+    if (forbidden.length > 0) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Not allowed to write campus(es): ${forbidden.join(', ')}`
+      });
+    }
+
+    const result = await LocationSession.bulkWrite(
+      sessions.map(session => ({
+        updateOne: {
+          filter: { id: session.id },
+          update: { $set: session },
+          upsert: true
+        }
+      })),
+      { ordered: false }
+    );
+
+    logEvent(
+      req,
+      req.session.login,
+      sessions.length === 1 ? sessions[0].campusId : 0,
+      'location_sessions_ingest',
+      { received: sessions.length }
+    );
+
+    res.json({
+      received: sessions.length,
+      inserted: result.upsertedCount,
+      updated: result.modifiedCount
+    });
+  } catch (error) {
+    req.log.error('Location sessions ingest error', { error });
+    res.status(500).json({
+      error: 'Failed to ingest location sessions',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+const { validateCampusId, validatePool } = require('../utils/validators');
+const { MONTH_NAMES, getPoolMonthIndex, getPoolStats } = require('../controllers/poolController');
+const { getCampusTimeZone } = require('../controllers/campusController');
+const { logEvent } = require('../middleware/logger');
+
+/**
+ * GET /api/pools/:year/:month/stats?campusId={campusId}
+ * Cohort statistics of a piscine: cadets, current status split, levels,
+ * median validated projects and retention by month since the pool
+ */
+router.get('/:year/:month/stats', async (req, res) => {
+  try {
+    let pool, campusId;
+    try {
+      pool = validatePool(req.params.year, req.params.month);
+      // validatePool accepts any 1-2 digit month; students store month names
+      const monthIndex = getPoolMonthIndex(pool.month);
+      if (monthIndex === null) {
+        throw new Error('Invalid pool month: must be a month name or 1-12');
+      }
+      pool = { ...pool, month: MONTH_NAMES[monthIndex] };
+      campusId = validateCampusId(req.query.campusId);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    // Pool months start in the campus timezone (UTC for every campus)
+    const timeZone = await getCampusTimeZone(campusId);
+    const stats = await getPoolStats({ pool, campusId, timeZone });
+
+    logEvent(
+      req,
+      req.user?.login || 'unknown',
+      campusId || 0,
+      'pool_stats_view',
+      { campusId, pool }
+    );
+
+    res.json({
+      pool,
+      campusId,
+      timeZone,
+      ...stats
+    });
+  } catch (error) {
+    req.log.error('Pool stats error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch pool statistics',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
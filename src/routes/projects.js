@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const { validateCampusId, validateSearch } = require('../utils/validators');
+const { parseProjectName } = require('../utils/projectName');
+const { getProjectCatalog, getProjectStats } = require('../controllers/projectController');
+const { logEvent } = require('../middleware/logger');
+
+/**
+ * Validate a project name parameter ("CPP Module 03"), dropping a retry suffix ("#2")
+ * @param {string} input - Project name from params
+ * @returns {string} - Base project name
+ */
+function validateProjectName(input) {
+  if (typeof input !== 'string' || !/^[\p{L}\p{N}\s._+:'()&#-]{1,100}$/u.test(input.trim())) {
+    throw new Error('Invalid project name');
+  }
+  return parseProjectName(input.trim()).name;
+}
+
+/**
+ * GET /api/projects?campusId={campusId}&search={search}
+ * Base project names (retries folded in) with attempt and validation counts
+ */
+router.get('/', async (req, res) => {
+  try {
+    let campusId;
+    try {
+      campusId = validateCampusId(req.query.campusId);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const projects = await getProjectCatalog({ campusId, search: validateSearch(req.query.search) });
+
+    res.json({ campusId, projects });
+  } catch (error) {
+    req.log.error('Project catalog error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch projects',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/projects/:name?campusId={campusId}
+ * Statistics of a project over every attempt: pass rate, score histogram,
+ * attempts until success, cheats, recent validations and review statuses
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    let name, campusId;
+    try {
+      name = validateProjectName(req.params.name);
+      campusId = validateCampusId(req.query.campusId);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const stats = await getProjectStats({ name, campusId });
+    if (!stats) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    logEvent(
+      req,
+      req.user?.login || 'unknown',
+      campusId || 0,
+      'project_stats_view',
+      { campusId, project: name }
+    );
+
+    res.json({ campusId, ...stats });
+  } catch (error) {
+    req.log.error('Project stats error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch project statistics',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -51,7 +51,7 @@ router.get("/projectNames", async (req, res) => {
     const projectNames = await ProjectReview.distinct("project");
     res.json({ projectNames: projectNames.sort() });
   } catch (error) {
-    console.error("Project names fetch error:", error);
+    req.log.error('Project names fetch error', { error });
     res.status(500).json({
       error: "Failed to fetch project names",
       message: error.message,
@@ -70,7 +70,7 @@ router.get("/statuses", async (req, res) => {
     const validStatuses = statuses.filter(s => s !== null && s !== undefined);
     res.json({ statuses: validStatuses.sort() });
   } catch (error) {
-    console.error("Statuses fetch error:", error);
+    req.log.error('Statuses fetch error', { error });
     res.status(500).json({
       error: "Failed to fetch statuses",
       message: error.message,
@@ -242,7 +242,7 @@ router.get("/", async (req, res) => {
       }
     });
   } catch (error) {
-    console.error("Reviews fetch error:", error);
+    req.log.error('Reviews fetch error', { error });
     res.status(500).json({
       error: "Failed to fetch reviews",
       message: error.message,
@@ -22,7 +22,12 @@ const {
   validateStatus,
 } = require("../utils/validators");
 const { logEvent } = require("../middleware/logger");
+const { hasRole } = require("../middleware/roles");
+const { canAccessCampus, sendCampusForbidden } = require("../middleware/campusPolicy");
+const { redactStudent } = require("../utils/redact");
 const { generateWrappedSummary } = require("../controllers/wrappedController");
+const { getCampusTimeZone } = require("../controllers/campusController");
+const { zonedTime, getCalendarWeekday } = require("../utils/dateRange");
 
 /**
  * GET /api/students/pools?campusId={campusId}
@@ -88,7 +93,7 @@ router.get("/pools", async (req, res) => {
 
     res.json({ pools });
   } catch (error) {
-    console.error("Pools fetch error:", error);
+    req.log.error('Pools fetch error', { error });
     res
       .status(500)
       .json({ error: "Failed to fetch pools data", message: error.message });
@@ -122,36 +127,40 @@ router.get("/wrapped/:login", async (req, res) => {
     if (!student) {
       return res.status(404).json({ error: "Student not found" });
     }
+    if (!canAccessCampus(req, student.campusId)) {
+      return sendCampusForbidden(res, `You are not allowed to access data of campus ${student.campusId}`);
+    }
 
-    // Get 2025 date range (as strings for string comparison in DB)
-    const year2025Start = '2025-01-01T00:00:00.000Z';
-    const year2025End = '2025-12-31T23:59:59.999Z';
+    // 2025 in the campus timezone (as strings for string comparison in DB)
+    const timeZone = await getCampusTimeZone(student.campusId);
+    const year2025Start = zonedTime(2025, 0, 1, 0, timeZone).toISOString();
+    const year2025End = zonedTime(2026, 0, 1, 0, timeZone).toISOString();
 
     // Fetch all necessary data in parallel
     const [projects, projectReviews, feedbacks, projectReviewsReceived, feedbacksReceived, patronage, projectReviewsForWords, feedbacksForWords] = await Promise.all([
       Project.find({
         login: validatedLogin,
-        date: { $gte: year2025Start, $lte: year2025End }
+        date: { $gte: year2025Start, $lt: year2025End }
       }).lean(),
       
       ProjectReview.find({
         evaluator: validatedLogin,
-        date: { $gte: year2025Start, $lte: year2025End }
+        date: { $gte: year2025Start, $lt: year2025End }
       }).lean(),
       
       Feedback.find({
         evaluator: validatedLogin,
-        date: { $gte: year2025Start, $lte: year2025End }
+        date: { $gte: year2025Start, $lt: year2025End }
       }).lean(),
       
       ProjectReview.find({
         evaluated: validatedLogin,
-        date: { $gte: year2025Start, $lte: year2025End }
+        date: { $gte: year2025Start, $lt: year2025End }
       }).lean(),
       
       Feedback.find({
         evaluated: validatedLogin,
-        date: { $gte: year2025Start, $lte: year2025End }
+        date: { $gte: year2025Start, $lt: year2025End }
       }).lean(),
       
       Patronage.findOne({ login: validatedLogin }).lean(),
@@ -160,7 +169,7 @@ router.get("/wrapped/:login", async (req, res) => {
       ProjectReview.find(
         {
           evaluator: validatedLogin,
-          date: { $gte: year2025Start, $lte: year2025End },
+          date: { $gte: year2025Start, $lt: year2025End },
           comment: { $exists: true, $ne: null, $ne: '' }
         },
         { comment: 1, _id: 0 }
@@ -170,7 +179,7 @@ router.get("/wrapped/:login", async (req, res) => {
       Feedback.find(
         {
           evaluated: validatedLogin,
-          date: { $gte: year2025Start, $lte: year2025End },
+          date: { $gte: year2025Start, $lt: year2025End },
           comment: { $exists: true, $ne: null, $ne: '' }
         },
         { comment: 1, _id: 0 }
@@ -187,7 +196,8 @@ router.get("/wrapped/:login", async (req, res) => {
       feedbacksReceived,
       patronage,
       projectReviewsForWords,
-      feedbacksForWords
+      feedbacksForWords,
+      timeZone
     });
 
     // Collect all unique logins from highlights to fetch their images
@@ -240,7 +250,7 @@ router.get("/wrapped/:login", async (req, res) => {
 
     res.status(200).json(wrappedData);
   } catch (error) {
-    console.error("Wrapped generation error:", error);
+    req.log.error('Wrapped generation error', { error });
     res.status(500).json({ 
       error: "Failed to generate wrapped summary", 
       message: error.message 
@@ -276,6 +286,9 @@ router.get("/:login", async (req, res) => {
     if (!student) {
       return res.status(404).json({ error: "Student not found" });
     }
+    if (!canAccessCampus(req, student.campusId)) {
+      return sendCampusForbidden(res, `You are not allowed to access data of campus ${student.campusId}`);
+    }
 
     // Get projects
     const projects = await Project.find({ login: validatedLogin }).lean();
@@ -319,9 +332,10 @@ router.get("/:login", async (req, res) => {
               const date = `${monthKey}-${day.padStart(2, "0")}`;
               logTimes.push({ date, duration: totalMinutes });
 
-              const fullDate = new Date(`${monthKey}-${day.padStart(2, "0")}`);
-              if (!isNaN(fullDate.getTime())) {
-                const dayOfWeek = dayNames[fullDate.getDay()];
+              // Weekday of the calendar day, whatever the server timezone
+              const weekday = getCalendarWeekday(date);
+              if (!isNaN(weekday)) {
+                const dayOfWeek = dayNames[weekday];
                 if (dayAttendance[dayOfWeek]) {
                   dayAttendance[dayOfWeek].push(hours + minutes / 60);
                 }
@@ -372,7 +386,7 @@ router.get("/:login", async (req, res) => {
     );
 
     res.json({
-      student: {
+      student: redactStudent({
         id: student.id,
         login: student.login,
         displayname: student.displayname,
@@ -393,10 +407,10 @@ router.get("/:login", async (req, res) => {
         avgRating: Math.round(avgRating * 100) / 100,
         logTimes,
         attendanceDays,
-      },
+      }, req),
     });
   } catch (error) {
-    console.error("Student fetch error:", error);
+    req.log.error('Student fetch error', { error });
     res
       .status(500)
       .json({ error: "Failed to fetch student", message: error.message });
@@ -447,9 +461,12 @@ router.get("/", async (req, res) => {
       const searchRegex = new RegExp(validatedSearch, 'i');
       matchStage.$or = [
         { login: searchRegex },
-        { displayname: searchRegex },
-        { email: searchRegex }
+        { displayname: searchRegex }
       ];
+      // Searching by email would leak it to non-staff viewers
+      if (hasRole(req, 'staff')) {
+        matchStage.$or.push({ email: searchRegex });
+      }
     }
     
     // Status filters
@@ -1068,7 +1085,7 @@ router.get("/", async (req, res) => {
     );
 
     res.json({
-      students,
+      students: students.map((s) => redactStudent(s, req)),
       pagination: {
         total,
         page: validatedPage,
@@ -1078,7 +1095,7 @@ router.get("/", async (req, res) => {
     });
 
   } catch (error) {
-    console.error("Students list error:", error);
+    req.log.error('Students list error', { error });
     res
       .status(500)
       .json({ error: "Failed to fetch students", message: error.message });
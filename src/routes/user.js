@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const { Session, EventLog, UserSetting } = require('../models');
 const { logEvent } = require('../middleware/logger');
+const { rateLimit } = require('../middleware/rateLimit');
+const { revokeSession, revokeUserSessions } = require('../controllers/sessionController');
+const { validateObjectId } = require('../utils/validators');
 
 /**
  * GET /api/user/me
@@ -19,9 +23,12 @@ router.get('/me', async (req, res) => {
       { userId: req.user?.id }
     );
     
-    res.json(req.user);
+    res.json({
+      ...req.user,
+      watcherRoles: req.session?.roles || []
+    });
   } catch (error) {
-    console.error('User fetch error:', error);
+    req.log.error('User fetch error', { error });
     res.status(500).json({ 
       error: 'Failed to fetch user data',
       message: error.message
@@ -29,4 +36,319 @@ router.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/user/sessions
+ * List the caller's active sessions with IPs and last activity
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      login: req.session.login,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('usedIps lastActivity createdAt expiresAt')
+      .sort({ lastActivity: -1 })
+      .lean();
+
+    res.json({
+      sessions: sessions.map(s => ({
+        id: s._id,
+        current: String(s._id) === String(req.session.id),
+        usedIps: s.usedIps || [],
+        lastActivity: s.lastActivity,
+        createdAt: s.createdAt,
+        expiresAt: s.expiresAt
+      }))
+    });
+  } catch (error) {
+    req.log.error('Sessions fetch error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch sessions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/sessions/:id
+ * Revoke one of the caller's sessions
+ */
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    let validatedId;
+    try {
+      validatedId = validateObjectId(req.params.id);
+    } catch (validationError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validationError.message
+      });
+    }
+
+    const revoked = await revokeSession(req.session.login, validatedId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    logEvent(
+      req,
+      req.session.login,
+      req.session.campusId || 0,
+      'session_revoked',
+      { sessionId: validatedId }
+    );
+
+    res.json({ revoked: 1 });
+  } catch (error) {
+    req.log.error('Session revoke error', { error });
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/user/sessions?keepCurrent=true
+ * Log out everywhere - revoke all of the caller's sessions
+ * (optionally keeping the one making this request)
+ */
+router.delete('/sessions', async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await revokeUserSessions(req.session.login, {
+      exceptId: keepCurrent ? req.session.id : null
+    });
+
+    logEvent(
+      req,
+      req.session.login,
+      req.session.campusId || 0,
+      'session_revoked_all',
+      { revoked, keepCurrent }
+    );
+
+    res.json({ revoked });
+  } catch (error) {
+    req.log.error('Sessions revoke error', { error });
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/user/logout
+ * Log out - revoke the session of the current token
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    await revokeSession(req.session.login, req.session.id);
+
+    logEvent(
+      req,
+      req.session.login,
+      req.session.campusId || 0,
+      'user_logout',
+      {}
+    );
+
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error('Logout error', { error });
+    res.status(500).json({
+      error: 'Failed to log out',
+      message: error.message
+    });
+  }
+});
+
+// Profile views are rate limited separately so they cannot be polled to follow viewers in real time
+const profileViewsLimit = rateLimit({
+  name: 'profile-views',
+  points: 10,
+  windowMs: 60 * 60 * 1000,
+  cost: () => 1
+});
+
+/**
+ * When a user enabled showProfileViewers
+ * Settings saved before the date was recorded fall back to their last update.
+ * @param {Object} settings - UserSetting with showProfileViewers enabled
+ * @returns {Date}
+ */
+function getShowProfileViewersSince(settings) {
+  return settings.showProfileViewersSince || settings.updatedAt || new Date(0);
+}
+
+/**
+ * GET /api/user/settings
+ * Get the caller's privacy settings
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await UserSetting.findOne({ login: req.session.login }).lean();
+    res.json({
+      showProfileViewers: settings?.showProfileViewers || false
+    });
+  } catch (error) {
+    req.log.error('Settings fetch error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/user/settings
+ * Update the caller's privacy settings
+ * Enabling showProfileViewers records when, so views made before are never revealed
+ * Body: { showProfileViewers: boolean }
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    if (typeof req.body?.showProfileViewers !== 'boolean') {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Invalid showProfileViewers: must be a boolean'
+      });
+    }
+
+    const current = await UserSetting.findOne({ login: req.session.login }).lean();
+    let showProfileViewersSince = null;
+    if (req.body.showProfileViewers) {
+      showProfileViewersSince = current?.showProfileViewers
+        ? getShowProfileViewersSince(current)
+        : new Date();
+    }
+
+    const settings = await UserSetting.findOneAndUpdate(
+      { login: req.session.login },
+      { showProfileViewers: req.body.showProfileViewers, showProfileViewersSince },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    res.json({
+      showProfileViewers: settings.showProfileViewers
+    });
+  } catch (error) {
+    req.log.error('Settings update error', { error });
+    res.status(500).json({
+      error: 'Failed to update settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/user/profile-views?days={days}
+ * How many times the caller's profile was viewed per day and per week
+ * Viewer logins are only listed when the caller has showProfileViewers enabled,
+ * and only viewers who enabled it themselves are listed, with the views they made
+ * since enabling it (day precision, no times).
+ */
+router.get('/profile-views', profileViewsLimit, async (req, res) => {
+  try {
+    const days = parseInt(req.query.days, 10);
+    const validatedDays = (!isNaN(days) && days > 0 && days <= 90) ? days : 30;
+
+    const login = req.session.login;
+    const since = new Date(Date.now() - validatedDays * 24 * 60 * 60 * 1000);
+
+    const [result] = await EventLog.aggregate([
+      {
+        $match: {
+          'eventData.viewedLogin': login,
+          eventType: 'student_detail_view',
+          timestamp: { $gte: since },
+          login: { $ne: login } // Own visits do not count
+        }
+      },
+      {
+        $facet: {
+          daily: [
+            { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp', timezone: 'UTC' } }, views: { $sum: 1 } } },
+            { $project: { _id: 0, day: '$_id', views: 1 } },
+            { $sort: { day: 1 } }
+          ],
+          weekly: [
+            { $group: { _id: { $dateToString: { format: '%G-W%V', date: '$timestamp', timezone: 'UTC' } }, views: { $sum: 1 } } },
+            { $project: { _id: 0, week: '$_id', views: 1 } },
+            { $sort: { week: 1 } }
+          ],
+          viewers: [
+            {
+              $group: {
+                _id: '$login',
+                views: { $sum: 1 },
+                lastViewedAt: { $max: '$timestamp' }
+              }
+            }
+          ]
+        }
+      }
+    ]);
+
+    const viewerRows = (result?.viewers || []).filter(v => !String(v._id).startsWith('apikey:') && v._id !== 'unknown');
+    const totalViews = (result?.daily || []).reduce((sum, d) => sum + d.views, 0);
+
+    const response = {
+      days: validatedDays,
+      totalViews,
+      uniqueViewers: viewerRows.length,
+      daily: result?.daily || [],
+      weekly: result?.weekly || [],
+      showProfileViewers: false,
+      viewers: null
+    };
+
+    const settings = await UserSetting.findOne({ login }).lean();
+    if (settings?.showProfileViewers) {
+      const visibleViewers = await UserSetting.find({
+        login: { $in: viewerRows.map(v => v._id) },
+        showProfileViewers: true
+      })
+        .select('login showProfileViewersSince updatedAt')
+        .lean();
+
+      // Only views made after each viewer opted in
+      const consentedViews = visibleViewers.length > 0
+        ? await EventLog.aggregate([
+            {
+              $match: {
+                'eventData.viewedLogin': login,
+                eventType: 'student_detail_view',
+                $or: visibleViewers.map(viewer => {
+                  const optedInAt = getShowProfileViewersSince(viewer);
+                  return { login: viewer.login, timestamp: { $gte: optedInAt > since ? optedInAt : since } };
+                })
+              }
+            },
+            { $group: { _id: '$login', views: { $sum: 1 }, lastViewedAt: { $max: '$timestamp' } } }
+          ])
+        : [];
+
+      response.showProfileViewers = true;
+      response.viewers = consentedViews
+        .sort((a, b) => b.lastViewedAt - a.lastViewedAt)
+        .slice(0, 50)
+        .map(v => ({
+          login: v._id,
+          views: v.views,
+          lastViewedDay: v.lastViewedAt.toISOString().split('T')[0]
+        }));
+    }
+
+    res.json(response);
+  } catch (error) {
+    req.log.error('Profile views fetch error', { error });
+    res.status(500).json({
+      error: 'Failed to fetch profile views',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router;
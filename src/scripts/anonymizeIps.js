@@ -0,0 +1,200 @@
+/**
+ * Apply the configured privacy mode (PRIVACY_IP_MODE / PRIVACY_USER_AGENT_MODE)
+ * to records written before it was enabled
+ *   node src/scripts/anonymizeIps.js [--dry-run]
+ * Covers Session (usedIps, lastIp, userAgent, flags[].detail), EventLog (ip, userAgent,
+ * eventData.ip / previousIp / userAgent / previousUserAgent) and ApiKey (lastUsedIp).
+ * Running it twice is a no-op. The dry run counts, per field, what is left to rewrite.
+ * Archived EventLog files are not rewritten; they are anonymized when restored.
+ */
+require('dotenv').config();
+const { db1, db2 } = require('../models/db');
+const { Session, EventLog, ApiKey } = require('../models');
+const privacyConfig = require('../config/privacy');
+const {
+  DETAIL_IP_FIELDS,
+  DETAIL_USER_AGENT_FIELDS,
+  anonymizeIp,
+  anonymizeUserAgent,
+  anonymizeDetail,
+  anonymizeEventRecord
+} = require('../utils/ipPrivacy');
+
+const BATCH_SIZE = 1000;
+
+function waitForConnection(connection) {
+  return new Promise((resolve, reject) => {
+    if (connection.readyState === 1) return resolve();
+    connection.once('connected', resolve);
+    connection.once('error', reject);
+  });
+}
+
+/**
+ * Build a $set / $unset update from [path, before, after] triples
+ * Null values are unset rather than stored.
+ * @returns {Object|null} - Update, or null when nothing changed
+ */
+function buildUpdate(changes) {
+  const update = {};
+  changes.forEach(([path, before, after]) => {
+    if (before === after) return;
+    if (after === null || after === undefined) {
+      update.$unset = { ...update.$unset, [path]: '' };
+    } else {
+      update.$set = { ...update.$set, [path]: after };
+    }
+  });
+  return Object.keys(update).length ? update : null;
+}
+
+/**
+ * Stream a collection and write the changed documents with bulkWrite
+ * @param {Object} model - Mongoose model
+ * @param {Object} filter - Documents to scan
+ * @param {string} projection - Fields to read
+ * @param {Function} transform - (doc) => update | null
+ * @param {boolean} dryRun - Count only
+ * @returns {Promise<{scanned: number, updated: number, fields: Object<string, number>}>}
+ *   fields: documents changed per updated path
+ */
+async function migrateCollection(model, filter, projection, transform, dryRun) {
+  const stats = { scanned: 0, updated: 0, fields: {} };
+  let operations = [];
+
+  const write = async () => {
+    if (operations.length && !dryRun) {
+      await model.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  const cursor = model.find(filter).select(projection).lean().cursor({ batchSize: BATCH_SIZE });
+  for await (const doc of cursor) {
+    stats.scanned++;
+    const update = transform(doc);
+    if (update) {
+      stats.updated++;
+      Object.keys({ ...update.$set, ...update.$unset }).forEach(path => {
+        stats.fields[path] = (stats.fields[path] || 0) + 1;
+      });
+      operations.push({ updateOne: { filter: { _id: doc._id }, update } });
+    }
+    if (operations.length >= BATCH_SIZE) {
+      await write();
+    }
+  }
+  await write();
+
+  return stats;
+}
+
+function migrateSession(session) {
+  const before = {
+    usedIps: session.usedIps || [],
+    lastIp: session.lastIp ?? null,
+    userAgent: session.userAgent ?? null,
+    flags: session.flags || []
+  };
+  const after = {
+    usedIps: [...new Set(before.usedIps.map(ip => anonymizeIp(ip)).filter(Boolean))],
+    lastIp: anonymizeIp(before.lastIp),
+    userAgent: anonymizeUserAgent(before.userAgent),
+    // Anomaly flags carry ip / previousIp and userAgent / previousUserAgent
+    flags: before.flags.map(flag => (
+      flag.detail ? { ...flag, detail: anonymizeDetail(flag.detail) } : flag
+    ))
+  };
+
+  const $set = {};
+  Object.keys(after).forEach(field => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      $set[field] = after[field];
+    }
+  });
+  return Object.keys($set).length ? { $set } : null;
+}
+
+function migrateEvent(event) {
+  const after = anonymizeEventRecord(event);
+  return buildUpdate([
+    ['ip', event.ip, after.ip],
+    ['userAgent', event.userAgent, after.userAgent],
+    ...[...DETAIL_IP_FIELDS, ...DETAIL_USER_AGENT_FIELDS].map(field => (
+      [`eventData.${field}`, event.eventData?.[field], after.eventData?.[field]]
+    ))
+  ]);
+}
+
+/**
+ * Print the result of a collection, per field
+ */
+function report(name, stats, dryRun) {
+  console.log(`${name}: ${stats.updated}/${stats.scanned} ${dryRun ? 'left to rewrite' : 'updated'}`);
+  Object.entries(stats.fields).forEach(([path, count]) => {
+    console.log(`  ${path}: ${count}`);
+  });
+}
+
+function migrateApiKey(apiKey) {
+  const lastUsedIp = anonymizeIp(apiKey.lastUsedIp);
+  return lastUsedIp === apiKey.lastUsedIp ? null : { $set: { lastUsedIp } };
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  if (privacyConfig.ipMode === 'off' && privacyConfig.userAgentMode === 'full') {
+    throw new Error('Nothing to do: set PRIVACY_IP_MODE and/or PRIVACY_USER_AGENT_MODE first');
+  }
+
+  await waitForConnection(db2);
+  console.log(`🔒 Applying privacy mode ip=${privacyConfig.ipMode} userAgent=${privacyConfig.userAgentMode}${dryRun ? ' (dry run)' : ''}`);
+
+  const sessions = await migrateCollection(
+    Session,
+    {},
+    'usedIps lastIp userAgent flags',
+    migrateSession,
+    dryRun
+  );
+  report('Sessions', sessions, dryRun);
+
+  // User agents only change in drop mode
+  const userAgentFields = privacyConfig.userAgentMode === 'drop'
+    ? ['userAgent', ...DETAIL_USER_AGENT_FIELDS.map(field => `eventData.${field}`)]
+    : [];
+  const eventFields = [
+    'ip',
+    ...DETAIL_IP_FIELDS.map(field => `eventData.${field}`),
+    ...userAgentFields
+  ];
+  const events = await migrateCollection(
+    EventLog,
+    { $or: eventFields.map(path => ({ [path]: { $type: 'string' } })) },
+    ['ip', 'userAgent', ...[...DETAIL_IP_FIELDS, ...DETAIL_USER_AGENT_FIELDS].map(field => `eventData.${field}`)].join(' '),
+    migrateEvent,
+    dryRun
+  );
+  report('EventLog', events, dryRun);
+
+  const apiKeys = await migrateCollection(
+    ApiKey,
+    { lastUsedIp: { $type: 'string' } },
+    'lastUsedIp',
+    migrateApiKey,
+    dryRun
+  );
+  report('API keys', apiKeys, dryRun);
+}
+
+main()
+  .then(() => 0)
+  .catch(error => {
+    console.error('❌ Privacy migration failed:', error.message);
+    return 1;
+  })
+  .then(async code => {
+    await Promise.all([db1.close(), db2.close()]);
+    process.exit(code);
+  });
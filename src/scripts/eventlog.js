@@ -0,0 +1,47 @@
+/**
+ * EventLog retention CLI
+ *   node src/scripts/eventlog.js sweep            Archive and delete expired events and sessions
+ *   node src/scripts/eventlog.js restore <file>   Re-import an archive (.ndjson.gz)
+ */
+require('dotenv').config();
+const { db1, db2 } = require('../models/db');
+const { runRetentionSweep, restoreArchive } = require('../jobs/eventLogRetention');
+
+function waitForConnection(connection) {
+  return new Promise((resolve, reject) => {
+    if (connection.readyState === 1) return resolve();
+    connection.once('connected', resolve);
+    connection.once('error', reject);
+  });
+}
+
+async function main() {
+  const [command, file] = process.argv.slice(2);
+
+  if (command !== 'sweep' && command !== 'restore') {
+    throw new Error('Usage: eventlog.js sweep | eventlog.js restore <file.ndjson.gz>');
+  }
+  if (command === 'restore' && !file) {
+    throw new Error('Missing archive file to restore');
+  }
+
+  await waitForConnection(db2);
+
+  if (command === 'sweep') {
+    await runRetentionSweep();
+  } else {
+    const { read, restored } = await restoreArchive(file);
+    console.log(`📥 Restored ${restored}/${read} events from ${file}`);
+  }
+}
+
+main()
+  .then(() => 0)
+  .catch(error => {
+    console.error('❌ EventLog command failed:', error.message);
+    return 1;
+  })
+  .then(async code => {
+    await Promise.all([db1.close(), db2.close()]);
+    process.exit(code);
+  });
@@ -0,0 +1,76 @@
+/**
+ * Replace the raw session tokens of sessions created before tokens were hashed
+ *   node src/scripts/hashSessionTokens.js [--dry-run]
+ * authenticate() only looks sessions up by hash, so legacy sessions stop working
+ * until this has run. They are the sessions without absoluteExpiresAt: every
+ * hashed session stores one. Running it twice is a no-op.
+ */
+require('dotenv').config();
+const { db1, db2 } = require('../models/db');
+const { Session } = require('../models');
+const { hashToken, getAbsoluteExpiry } = require('../controllers/sessionController');
+
+const BATCH_SIZE = 1000;
+
+function waitForConnection(connection) {
+  return new Promise((resolve, reject) => {
+    if (connection.readyState === 1) return resolve();
+    connection.once('connected', resolve);
+    connection.once('error', reject);
+  });
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await waitForConnection(db2);
+  console.log(`🔑 Hashing legacy session tokens${dryRun ? ' (dry run)' : ''}`);
+
+  const legacyFilter = { absoluteExpiresAt: null };
+  let updated = 0;
+  let operations = [];
+
+  const write = async () => {
+    if (operations.length && !dryRun) {
+      await Session.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  const cursor = Session.find(legacyFilter)
+    .select('sessionToken createdAt absoluteExpiresAt')
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+  for await (const session of cursor) {
+    updated++;
+    // Storing the absolute expiry marks the session as hashed
+    operations.push({
+      updateOne: {
+        filter: { _id: session._id, ...legacyFilter },
+        update: {
+          $set: {
+            sessionToken: hashToken(session.sessionToken),
+            absoluteExpiresAt: getAbsoluteExpiry(session)
+          }
+        }
+      }
+    });
+    if (operations.length >= BATCH_SIZE) {
+      await write();
+    }
+  }
+  await write();
+
+  console.log(`Sessions: ${updated} ${dryRun ? 'left to hash' : 'hashed'}`);
+}
+
+main()
+  .then(() => 0)
+  .catch(error => {
+    console.error('❌ Session token migration failed:', error.message);
+    return 1;
+  })
+  .then(async code => {
+    await Promise.all([db1.close(), db2.close()]);
+    process.exit(code);
+  });
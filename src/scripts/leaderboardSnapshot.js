@@ -0,0 +1,33 @@
+/**
+ * Leaderboard snapshot CLI
+ *   node src/scripts/leaderboardSnapshot.js   Store today's campus ranks of every campus (replaces today's snapshot)
+ */
+require('dotenv').config();
+const { db1, db2 } = require('../models/db');
+const { takeLeaderboardSnapshots } = require('../jobs/leaderboardSnapshots');
+
+function waitForConnection(connection) {
+  return new Promise((resolve, reject) => {
+    if (connection.readyState === 1) return resolve();
+    connection.once('connected', resolve);
+    connection.once('error', reject);
+  });
+}
+
+async function main() {
+  await Promise.all([waitForConnection(db1), waitForConnection(db2)]);
+
+  const { day, campuses, students, deleted } = await takeLeaderboardSnapshots();
+  console.log(`📸 Snapshot ${day}: ${students} students in ${campuses} campuses (${deleted} expired entries deleted)`);
+}
+
+main()
+  .then(() => 0)
+  .catch(error => {
+    console.error('❌ Leaderboard snapshot failed:', error.message);
+    return 1;
+  })
+  .then(async code => {
+    await Promise.all([db1.close(), db2.close()]);
+    process.exit(code);
+  });
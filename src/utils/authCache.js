@@ -0,0 +1,65 @@
+const LRUCache = require('./lruCache');
+const authConfig = require('../config/auth');
+
+/**
+ * Per-instance caches used by authenticate() to skip DB2 round trips
+ * - sessions: token hash -> { session, lastWriteAt }
+ * - bans:     login -> { ban } (ban is null when the user is not banned)
+ * - apiKeys:  key hash -> { apiKey, lastWriteAt }
+ *
+ * Entries live at most AUTH_CACHE_TTL_SECONDS, so changes made by another
+ * instance are picked up within that delay. Changes made through this
+ * instance (revoke, ban, unban) invalidate the entries immediately.
+ */
+const sessions = new LRUCache({ max: authConfig.authCacheMax, ttlMs: authConfig.authCacheTtlMs });
+const bans = new LRUCache({ max: authConfig.authCacheMax, ttlMs: authConfig.authCacheTtlMs });
+const apiKeys = new LRUCache({ max: authConfig.authCacheMax, ttlMs: authConfig.authCacheTtlMs });
+
+/**
+ * Drop a cached session by token hash
+ */
+function invalidateSessionToken(tokenHash) {
+  sessions.delete(tokenHash);
+}
+
+/**
+ * Drop a cached session by document ID
+ */
+function invalidateSessionId(sessionId) {
+  sessions.deleteWhere(entry => String(entry.session._id) === String(sessionId));
+}
+
+/**
+ * Drop every cached session and the cached ban state of a login
+ */
+function invalidateLogin(login) {
+  sessions.deleteWhere(entry => entry.session.login === login);
+  bans.delete(login);
+}
+
+/**
+ * Drop a cached API key by document ID
+ */
+function invalidateApiKey(apiKeyId) {
+  apiKeys.deleteWhere(entry => String(entry.apiKey._id) === String(apiKeyId));
+}
+
+/**
+ * Check whether an activity write is due for a cached entry
+ * @param {Object} entry - Cached entry with lastWriteAt
+ * @param {number} now - Current time (ms)
+ */
+function isWriteDue(entry, now) {
+  return now - entry.lastWriteAt >= authConfig.activityWriteIntervalMs;
+}
+
+module.exports = {
+  sessions,
+  bans,
+  apiKeys,
+  invalidateSessionToken,
+  invalidateSessionId,
+  invalidateLogin,
+  invalidateApiKey,
+  isWriteDue
+};
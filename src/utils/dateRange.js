@@ -0,0 +1,272 @@
+/**
+ * Date range helpers for statistics endpoints
+ * Boundaries are local midnights of a timezone (campus timezone, UTC by default),
+ * returned as Date instants; "to" is exclusive.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = ['week', 'month', 'quarter', 'year'];
+const MAX_RANGE_DAYS = 366;
+const MAX_OFFSET = 120;
+
+// One formatter per timezone (creating them is slow)
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check whether a string is an IANA timezone known to the runtime
+ * @param {string} timeZone - e.g. "Europe/Istanbul"
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || timeZone === '') {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall clock of an instant in a timezone
+ * @param {Date} date
+ * @param {string} [timeZone]
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   month 1-12, weekday 0 = Sunday
+ */
+function getZonedParts(date, timeZone = 'UTC') {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+/**
+ * Instant of a wall clock time in a timezone
+ * Out of range values roll over like Date.UTC (month 12 = January of the next year).
+ * @param {number} year
+ * @param {number} monthIndex - 0-11
+ * @param {number} day
+ * @param {number} [hour]
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+function zonedTime(year, monthIndex, day, hour = 0, timeZone = 'UTC') {
+  const wallClock = Date.UTC(year, monthIndex, day, hour);
+  const offsetAt = (time) => {
+    const p = getZonedParts(new Date(time), timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+  };
+
+  // The offset at the guess can differ from the offset at the result around DST changes
+  const firstOffset = offsetAt(wallClock);
+  const secondOffset = offsetAt(wallClock - firstOffset);
+  return new Date(wallClock - secondOffset);
+}
+
+/**
+ * "YYYY-MM-DD" local day of an instant
+ */
+function toLocalDay(date, timeZone = 'UTC') {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * "YYYY-MM" local month of an instant
+ */
+function toLocalMonth(date, timeZone = 'UTC') {
+  return toLocalDay(date, timeZone).slice(0, 7);
+}
+
+/**
+ * Weekday of a calendar day (0 = Sunday), independent of any timezone
+ * @param {string} day - "YYYY-MM-DD"
+ * @returns {number} - NaN for an invalid day
+ */
+function getCalendarWeekday(day) {
+  return new Date(`${day}T00:00:00.000Z`).getUTCDay();
+}
+
+/**
+ * Parse a YYYY-MM-DD date (local midnight)
+ * @returns {Date}
+ */
+function parseDay(value, name, timeZone = 'UTC') {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error(`Invalid ${name}: must be a YYYY-MM-DD date`);
+  }
+  const date = new Date(`${value}T00:00:00.000Z`);
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+    throw new Error(`Invalid ${name}: not a calendar date`);
+  }
+  return zonedTime(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), 0, timeZone);
+}
+
+/**
+ * Start of the period containing a date, shifted back by offset periods
+ * Weeks start on Monday.
+ * @param {string} period - week, month, quarter or year
+ * @param {Date} date - Reference date
+ * @param {number} offset - 0 = current period, 1 = previous one...
+ * @param {string} [timeZone] - Timezone of the period boundaries
+ * @returns {{from: Date, to: Date}}
+ */
+function getPeriodBounds(period, date, offset = 0, timeZone = 'UTC') {
+  const { year, month, day, weekday } = getZonedParts(date, timeZone);
+
+  if (period === 'week') {
+    const monday = day - (weekday + 6) % 7 - 7 * offset;
+    return {
+      from: zonedTime(year, month - 1, monday, 0, timeZone),
+      to: zonedTime(year, month - 1, monday + 7, 0, timeZone)
+    };
+  }
+
+  const months = { month: 1, quarter: 3, year: 12 }[period];
+  const startMonth = (month - 1) - ((month - 1) % months) - months * offset;
+  return {
+    from: zonedTime(year, startMonth, 1, 0, timeZone),
+    to: zonedTime(year, startMonth + months, 1, 0, timeZone)
+  };
+}
+
+/**
+ * Resolve the statistics window of a request
+ * - from / to: YYYY-MM-DD dates, both inclusive (at most 366 days)
+ * - or period=week|month|quarter|year with offset (0 = current, 1 = previous...)
+ * - default: the current month
+ * @param {object} query - Express req.query
+ * @param {Date} [now] - Reference time
+ * @param {string} [timeZone] - Timezone of the days (campus timezone)
+ * @returns {{period: string, offset: number|null, from: Date, to: Date, timeZone: string}}
+ */
+function resolveDateRange(query, now = new Date(), timeZone = 'UTC') {
+  const hasCustomRange = query.from !== undefined || query.to !== undefined;
+
+  if (hasCustomRange) {
+    if (query.period !== undefined || query.offset !== undefined) {
+      throw new Error('Use either from/to or period/offset, not both');
+    }
+    if (query.from === undefined || query.to === undefined) {
+      throw new Error('Both from and to are required for a custom range');
+    }
+
+    const from = parseDay(query.from, 'from', timeZone);
+    const lastDay = parseDay(query.to, 'to');
+    const to = zonedTime(lastDay.getUTCFullYear(), lastDay.getUTCMonth(), lastDay.getUTCDate() + 1, 0, timeZone);
+    if (from >= to) {
+      throw new Error('Invalid range: from must not be after to');
+    }
+    // Rounded: days around a DST change are not 24 hours long
+    if (Math.round((to - from) / DAY_MS) > MAX_RANGE_DAYS) {
+      throw new Error(`Invalid range: at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { period: 'custom', offset: null, from, to, timeZone };
+  }
+
+  const period = query.period || 'month';
+  if (!PERIODS.includes(period)) {
+    throw new Error(`Invalid period: must be one of ${PERIODS.join(', ')}`);
+  }
+
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0 || offset > MAX_OFFSET) {
+    throw new Error(`Invalid offset: must be an integer between 0 and ${MAX_OFFSET}`);
+  }
+
+  return { period, offset, ...getPeriodBounds(period, now, offset, timeZone), timeZone };
+}
+
+/**
+ * Local month keys ("YYYY-MM") overlapping a range
+ * @param {{from: Date, to: Date, timeZone?: string}} range
+ * @returns {string[]}
+ */
+function getMonthKeys(range) {
+  const timeZone = range.timeZone || 'UTC';
+  const first = toLocalMonth(range.from, timeZone);
+  const last = toLocalMonth(new Date(range.to.getTime() - 1), timeZone);
+
+  const keys = [];
+  const cursor = new Date(`${first}-01T00:00:00.000Z`);
+  for (let key = first; key <= last; key = cursor.toISOString().slice(0, 7)) {
+    keys.push(key);
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return keys;
+}
+
+/**
+ * Local days of a range as "YYYY-MM-DD" strings, "to" exclusive
+ * @param {{from: Date, to: Date, timeZone?: string}} range
+ * @returns {{fromDay: string, toDay: string}}
+ */
+function getRangeDays(range) {
+  const timeZone = range.timeZone || 'UTC';
+  return { fromDay: toLocalDay(range.from, timeZone), toDay: toLocalDay(range.to, timeZone) };
+}
+
+/**
+ * Serialize a resolved range for API responses
+ * "to" is echoed both exclusive (ISO) and as the last included day.
+ */
+function formatDateRange(range) {
+  const timeZone = range.timeZone || 'UTC';
+  return {
+    period: range.period,
+    offset: range.offset,
+    timeZone,
+    from: range.from.toISOString(),
+    to: range.to.toISOString(),
+    lastDay: toLocalDay(new Date(range.to.getTime() - 1), timeZone),
+    days: Math.round((range.to - range.from) / DAY_MS)
+  };
+}
+
+module.exports = {
+  PERIODS,
+  isValidTimeZone,
+  getZonedParts,
+  zonedTime,
+  toLocalDay,
+  toLocalMonth,
+  getCalendarWeekday,
+  getPeriodBounds,
+  resolveDateRange,
+  getMonthKeys,
+  getRangeDays,
+  formatDateRange
+};
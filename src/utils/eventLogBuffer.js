@@ -0,0 +1,194 @@
+const { logger } = require('./log');
+
+// Per-document write errors worth retrying (interrupted or stepped down server, timeouts,
+// write conflicts); any other write error rejects the document for good
+const RETRYABLE_WRITE_CODES = new Set([6, 7, 50, 89, 91, 112, 189, 262, 9001, 10107, 11600, 11602, 13435, 13436]);
+
+/**
+ * In-process queue that writes EventLog documents in batches
+ * Events are flushed with insertMany when maxBatchSize is reached or every
+ * flushIntervalMs. The queue is bounded: once full, the oldest or newest
+ * events are dropped according to dropPolicy. Events rejected by validation or
+ * by a permanent write error are dropped too.
+ */
+class EventLogBuffer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.model - Mongoose model to write to
+   * @param {number} options.maxBatchSize
+   * @param {number} options.flushIntervalMs
+   * @param {number} options.maxQueueSize
+   * @param {string} options.dropPolicy - "oldest" or "newest"
+   */
+  constructor({ model, maxBatchSize, flushIntervalMs, maxQueueSize, dropPolicy }) {
+    this.model = model;
+    this.maxBatchSize = maxBatchSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxQueueSize = maxQueueSize;
+    this.dropPolicy = dropPolicy;
+
+    this.queue = [];
+    this.flushing = null;
+    this.timer = null;
+    this.closed = false;
+
+    this.metrics = {
+      enqueued: 0,
+      written: 0,
+      dropped: 0,
+      flushes: 0,
+      failedFlushes: 0,
+      lastFlushAt: null,
+      lastError: null
+    };
+  }
+
+  /**
+   * Start the periodic flush timer
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => {
+      this.flush();
+    }, this.flushIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Queue an event document
+   * @param {Object} doc - EventLog document
+   */
+  push(doc) {
+    if (this.closed) {
+      this.metrics.dropped++;
+      return;
+    }
+
+    if (this.queue.length >= this.maxQueueSize) {
+      this.metrics.dropped++;
+      if (this.dropPolicy === 'newest') {
+        return;
+      }
+      this.queue.shift();
+    }
+
+    this.queue.push(doc);
+    this.metrics.enqueued++;
+
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Write queued events (one flush at a time)
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (this.flushing || this.queue.length === 0) {
+      return this.flushing || Promise.resolve();
+    }
+
+    this.flushing = this._flushBatches().finally(() => {
+      this.flushing = null;
+    });
+    return this.flushing;
+  }
+
+  async _flushBatches() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.maxBatchSize);
+      try {
+        // ordered: false - one invalid event must not block the rest of the batch
+        // Documents failing validation are skipped by insertMany
+        const inserted = await this.model.insertMany(batch, { ordered: false });
+        this.metrics.written += inserted.length;
+        this.metrics.dropped += batch.length - inserted.length;
+        this.metrics.flushes++;
+        this.metrics.lastFlushAt = new Date();
+      } catch (error) {
+        this.metrics.failedFlushes++;
+        this.metrics.lastError = error.message;
+        logger.error('EventLog flush error', { error });
+
+        // Without per-document results (e.g. connection lost) the whole batch is retried
+        const { written, retry, rejected } = this._splitFailedBatch(batch, error) || { written: 0, retry: batch, rejected: 0 };
+        this.metrics.written += written;
+        this.metrics.dropped += rejected;
+
+        if (retry.length > 0) {
+          // Put the retryable events back in front (within the queue bound) and retry on the next tick
+          const room = Math.max(0, this.maxQueueSize - this.queue.length);
+          this.metrics.dropped += Math.max(0, retry.length - room);
+          this.queue.unshift(...retry.slice(0, room));
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Sort a batch after a bulk write error: with ordered: false, every document
+   * without a write error was inserted
+   * @param {Object[]} batch - Documents passed to insertMany
+   * @param {Error} error - insertMany error (writeErrors indexes refer to the batch)
+   * @returns {{written: number, retry: Object[], rejected: number}|null} - null when
+   *   the error has no per-document results
+   */
+  _splitFailedBatch(batch, error) {
+    if (!Array.isArray(error.writeErrors) || !Array.isArray(error.insertedDocs)) {
+      return null;
+    }
+
+    // Mongoose copies the driver's WriteError, whose code lives on err
+    const codes = new Map(error.writeErrors.map(writeError => [
+      writeError.index,
+      writeError.err?.code ?? writeError.code
+    ]));
+    const retry = [];
+    let rejected = 0;
+    codes.forEach((code, index) => {
+      if (RETRYABLE_WRITE_CODES.has(code) && batch[index]) {
+        retry.push(batch[index]);
+      } else {
+        rejected++;
+      }
+    });
+
+    // Neither inserted nor in writeErrors: failed validation
+    rejected += Math.max(0, batch.length - error.insertedDocs.length - codes.size);
+    return { written: error.insertedDocs.length, retry, rejected };
+  }
+
+  /**
+   * Stop accepting events and flush what is left (used on shutdown)
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.closed = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.flushing) {
+      await this.flushing;
+    }
+    await this.flush();
+  }
+
+  /**
+   * Current counters and queue state
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      queued: this.queue.length,
+      maxQueueSize: this.maxQueueSize,
+      maxBatchSize: this.maxBatchSize,
+      flushIntervalMs: this.flushIntervalMs,
+      dropPolicy: this.dropPolicy
+    };
+  }
+}
+
+module.exports = EventLogBuffer;
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const net = require('net');
+const privacyConfig = require('../config/privacy');
+const { getClientIp } = require('./request');
+
+// Pseudonymized IPs look like "h:<32 hex chars>"
+const HMAC_PREFIX = 'h:';
+
+/**
+ * Unwrap IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) so both forms anonymize alike
+ */
+function normalizeIp(ip) {
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  return mapped ? mapped[1] : ip;
+}
+
+/**
+ * Truncate an IP: IPv4 to /24, IPv6 to /48
+ * @param {string} ip - Valid IP address
+ * @returns {string}
+ */
+function truncateIp(ip) {
+  if (net.isIPv4(ip)) {
+    return `${ip.split('.').slice(0, 3).join('.')}.0`;
+  }
+
+  // Expand "::" to get the first three groups
+  const [head, tail = ''] = ip.toLowerCase().split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = ip.includes('::') && tail ? tail.split(':') : [];
+  const groups = [
+    ...headGroups,
+    ...Array(8 - headGroups.length - tailGroups.length).fill('0'),
+    ...tailGroups
+  ];
+  const prefix = groups.slice(0, 3).map(group => group.replace(/^0+(?=.)/, ''));
+  while (prefix.length && prefix[prefix.length - 1] === '0') {
+    prefix.pop();
+  }
+  return `${prefix.join(':')}::`;
+}
+
+/**
+ * Replace an IP with a keyed pseudonym (same IP -> same value)
+ * @param {string} ip - Valid IP address
+ * @returns {string}
+ */
+function hmacIp(ip) {
+  const digest = crypto
+    .createHmac('sha256', privacyConfig.ipHmacSecret)
+    .update(ip)
+    .digest('hex');
+  return `${HMAC_PREFIX}${digest.substring(0, 32)}`;
+}
+
+/**
+ * Apply the configured IP privacy mode
+ * Values that are not IPs (already truncated pseudonyms, "unknown") are kept,
+ * so applying it twice or to migrated records is a no-op.
+ * @param {string|null} ip - Raw IP
+ * @param {string} [mode] - off, truncate, hmac or drop
+ * @returns {string|null} - Value to store
+ */
+function anonymizeIp(ip, mode = privacyConfig.ipMode) {
+  if (!ip || mode === 'off') {
+    return ip || null;
+  }
+  if (mode === 'drop') {
+    return null;
+  }
+  if (net.isIP(ip) === 0) {
+    return ip;
+  }
+  const normalized = normalizeIp(ip);
+  return mode === 'hmac' ? hmacIp(normalized) : truncateIp(normalized);
+}
+
+/**
+ * Apply the configured user agent privacy mode
+ * @param {string|null} userAgent - Raw user agent
+ * @returns {string|null} - Value to store
+ */
+function anonymizeUserAgent(userAgent) {
+  return privacyConfig.userAgentMode === 'drop' ? null : (userAgent || null);
+}
+
+/**
+ * Client IP of a request, as it may be stored
+ * @param {object} req - Express request object
+ * @returns {string|null}
+ */
+function getStoredClientIp(req) {
+  return anonymizeIp(getClientIp(req));
+}
+
+/**
+ * User agent of a request, as it may be stored
+ * @param {object} req - Express request object
+ * @returns {string|null}
+ */
+function getStoredUserAgent(req) {
+  return anonymizeUserAgent(req.headers['user-agent'] || null);
+}
+
+// IP and user agent fields carried in eventData and Session.flags[].detail (session anomalies)
+const DETAIL_IP_FIELDS = ['ip', 'previousIp'];
+const DETAIL_USER_AGENT_FIELDS = ['userAgent', 'previousUserAgent'];
+
+/**
+ * Apply the privacy mode to the IP and user agent fields of an eventData or
+ * session flag detail object. Fields missing from the object stay missing.
+ * @param {Object} detail
+ * @returns {Object} - Copy with anonymized fields (the same object when none apply)
+ */
+function anonymizeDetail(detail) {
+  if (!detail || typeof detail !== 'object') {
+    return detail;
+  }
+  const result = { ...detail };
+  let changed = false;
+  DETAIL_IP_FIELDS.forEach(field => {
+    if (typeof detail[field] === 'string') {
+      result[field] = anonymizeIp(detail[field]);
+      changed = true;
+    }
+  });
+  DETAIL_USER_AGENT_FIELDS.forEach(field => {
+    if (typeof detail[field] === 'string') {
+      result[field] = anonymizeUserAgent(detail[field]);
+      changed = true;
+    }
+  });
+  return changed ? result : detail;
+}
+
+/**
+ * Apply the privacy mode to the IP and user agent fields of a stored EventLog
+ * document (ip, userAgent and the eventData fields of anonymizeDetail).
+ * Fields missing from the document stay missing.
+ * @param {Object} event - EventLog document (plain object)
+ * @returns {Object} - Copy with anonymized fields
+ */
+function anonymizeEventRecord(event) {
+  const result = { ...event };
+  if ('ip' in event) {
+    result.ip = anonymizeIp(event.ip);
+  }
+  if ('userAgent' in event) {
+    result.userAgent = anonymizeUserAgent(event.userAgent);
+  }
+  if (event.eventData) {
+    result.eventData = anonymizeDetail(event.eventData);
+  }
+  return result;
+}
+
+module.exports = {
+  HMAC_PREFIX,
+  DETAIL_IP_FIELDS,
+  DETAIL_USER_AGENT_FIELDS,
+  truncateIp,
+  hmacIp,
+  anonymizeIp,
+  anonymizeUserAgent,
+  getStoredClientIp,
+  getStoredUserAgent,
+  anonymizeDetail,
+  anonymizeEventRecord
+};
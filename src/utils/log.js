@@ -0,0 +1,83 @@
+const loggingConfig = require('../config/logging');
+
+/**
+ * Serialize Error values so they survive JSON.stringify
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      stack: value.stack
+    };
+  }
+  return value;
+}
+
+/**
+ * JSON lines logger
+ * Every line holds time, level, msg, the logger bindings (e.g. requestId)
+ * and the fields passed to the call.
+ */
+class Logger {
+  /**
+   * @param {Object} [bindings] - Fields added to every line
+   * @param {string} [level] - Lowest level written
+   */
+  constructor(bindings = {}, level = loggingConfig.level) {
+    this.bindings = bindings;
+    this.level = level;
+    this.minIndex = loggingConfig.LEVELS.indexOf(level);
+  }
+
+  /**
+   * Create a logger that adds fields to every line
+   * @param {Object} bindings - Extra fields (e.g. { requestId })
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings }, this.level);
+  }
+
+  /**
+   * Write one line if the level is enabled
+   * @param {string} level - debug, info, warn or error
+   * @param {string} msg - Short message
+   * @param {Object} [fields] - Extra fields (Error values are serialized)
+   */
+  write(level, msg, fields = {}) {
+    if (loggingConfig.LEVELS.indexOf(level) < this.minIndex) {
+      return;
+    }
+
+    const line = { time: new Date().toISOString(), level, msg, ...this.bindings };
+    for (const [key, value] of Object.entries(fields)) {
+      line[key] = serializeValue(value);
+    }
+
+    const stream = level === 'error' || level === 'warn' ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(line)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+}
+
+// Process-wide logger for code running outside a request
+const logger = new Logger();
+
+module.exports = { Logger, logger };
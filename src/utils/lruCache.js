@@ -0,0 +1,82 @@
+/**
+ * Small in-memory LRU cache with per-entry TTL
+ * Relies on Map insertion order: the first key is the least recently used one.
+ */
+class LRUCache {
+  /**
+   * @param {Object} options
+   * @param {number} options.max - Maximum number of entries
+   * @param {number} options.ttlMs - Default time to live of an entry
+   */
+  constructor({ max = 1000, ttlMs = 60 * 1000 } = {}) {
+    this.max = max;
+    this.ttlMs = ttlMs;
+    this.entries = new Map();
+  }
+
+  /**
+   * Get a value (undefined when missing or expired)
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Set a value, evicting the least recently used entries when full
+   */
+  set(key, value, ttlMs = this.ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.max) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Delete a value
+   * @returns {boolean} - True if the key was present
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Delete every entry whose value matches the predicate
+   * @param {Function} predicate - (value, key) => boolean
+   * @returns {number} - Number of deleted entries
+   */
+  deleteWhere(predicate) {
+    let deleted = 0;
+    for (const [key, entry] of this.entries) {
+      if (predicate(entry.value, key)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = LRUCache;
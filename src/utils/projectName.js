@@ -0,0 +1,31 @@
+/**
+ * Project name helpers
+ * Retried projects are stored as "<name>#<retry>", e.g. "CPP Module 03#2".
+ */
+
+/**
+ * Parse a stored project name into its base name and retry count
+ * @param {string} projectName - e.g. "CPP Module 03#2"
+ * @returns {{name: string, retryCount: number}} - e.g. { name: "CPP Module 03", retryCount: 2 }
+ */
+function parseProjectName(projectName) {
+  if (!projectName) return { name: '', retryCount: 0 };
+  const match = projectName.match(/^(.+?)#(\d+)$/);
+  if (match) {
+    return { name: match[1], retryCount: parseInt(match[2], 10) };
+  }
+  return { name: projectName, retryCount: 0 };
+}
+
+/**
+ * Regex matching every stored name of a base project (first attempt and retries)
+ * Anchored at the start so an index on the project field can be used.
+ * @param {string} name - Base project name
+ * @returns {RegExp}
+ */
+function buildProjectNameRegex(name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped}(#\\d+)?$`);
+}
+
+module.exports = { parseProjectName, buildProjectNameRegex };
@@ -0,0 +1,24 @@
+const { hasRole } = require('../middleware/roles');
+
+// Student fields only staff may see
+const SENSITIVE_STUDENT_FIELDS = ['email', 'phone'];
+
+/**
+ * Remove sensitive fields from a student object unless the viewer is staff
+ * @param {Object} student - Student object (lean document or response object)
+ * @param {object} req - Express request object of the viewer
+ * @returns {Object} - Student object safe to return to the viewer
+ */
+function redactStudent(student, req) {
+  if (!student || hasRole(req, 'staff')) {
+    return student;
+  }
+
+  const redacted = { ...student };
+  SENSITIVE_STUDENT_FIELDS.forEach(field => {
+    delete redacted[field];
+  });
+  return redacted;
+}
+
+module.exports = { SENSITIVE_STUDENT_FIELDS, redactStudent };
@@ -0,0 +1,42 @@
+/**
+ * Request helpers
+ */
+
+/**
+ * Get the client IP of a request (proxy aware)
+ * @param {object} req - Express request object
+ * @returns {string|null} - Client IP or null if unknown
+ */
+function getClientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim()
+    || req.headers['x-real-ip']
+    || req.socket?.remoteAddress
+    || req.connection?.remoteAddress
+    || null;
+}
+
+/**
+ * Get a cookie of a request
+ * @param {object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Decoded value or null if absent
+ */
+function getCookie(req, name) {
+  const header = req.headers.cookie;
+  if (!header) {
+    return null;
+  }
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.substring(0, index).trim() === name) {
+      try {
+        return decodeURIComponent(part.substring(index + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { getClientIp, getCookie };
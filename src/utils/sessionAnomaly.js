@@ -0,0 +1,59 @@
+const securityConfig = require('../config/security');
+
+/**
+ * Evaluate the anomaly rules for a request made with a session
+ * @param {Object} session - Session (lean) before this request
+ * @param {Object} context
+ * @param {string|null} context.clientIp - IP of this request
+ * @param {string|null} context.userAgent - User agent of this request
+ * @param {Date} context.now - Request time
+ * @returns {Array<{rule: string, action: string, detail: Object}>} - Triggered rules
+ */
+function evaluateSessionAnomalies(session, { clientIp, userAgent, now }) {
+  const rules = securityConfig.sessionAnomaly;
+  const triggers = [];
+  const usedIps = session.usedIps || [];
+
+  // Too many distinct IPs
+  if (rules.maxDistinctIps.action !== 'off' && clientIp && !usedIps.includes(clientIp)
+      && usedIps.length + 1 > rules.maxDistinctIps.limit) {
+    triggers.push({
+      rule: 'max_distinct_ips',
+      action: rules.maxDistinctIps.action,
+      detail: { distinctIps: usedIps.length + 1, limit: rules.maxDistinctIps.limit, ip: clientIp }
+    });
+  }
+
+  // IP changed shortly after the previous change (or after login, for the first change)
+  const ipChanged = Boolean(clientIp && session.lastIp && clientIp !== session.lastIp);
+  const ipSince = session.lastIpChangeAt || session.createdAt;
+  if (rules.ipChange.action !== 'off' && ipChanged && ipSince) {
+    const minutesSinceChange = (now - new Date(ipSince)) / (60 * 1000);
+    if (minutesSinceChange < rules.ipChange.windowMinutes) {
+      triggers.push({
+        rule: 'ip_change',
+        action: rules.ipChange.action,
+        detail: {
+          previousIp: session.lastIp,
+          ip: clientIp,
+          minutesSinceChange: Math.round(minutesSinceChange * 10) / 10,
+          windowMinutes: rules.ipChange.windowMinutes
+        }
+      });
+    }
+  }
+
+  // User agent changed mid-session
+  if (rules.userAgentChange.action !== 'off' && userAgent && session.userAgent
+      && userAgent !== session.userAgent) {
+    triggers.push({
+      rule: 'user_agent_change',
+      action: rules.userAgentChange.action,
+      detail: { previousUserAgent: session.userAgent, userAgent }
+    });
+  }
+
+  return triggers;
+}
+
+module.exports = { evaluateSessionAnomalies };
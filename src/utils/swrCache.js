@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { CacheEntry } = require('../models');
+const LRUCache = require('./lruCache');
+const cacheConfig = require('../config/cache');
+const { logger } = require('./log');
+
+/**
+ * In-memory entry store (per instance)
+ * In-process coalescing is enough to avoid duplicate loads, so the lock always succeeds.
+ */
+class MemoryCacheStore {
+  constructor({ max = cacheConfig.maxEntries } = {}) {
+    this.entries = new LRUCache({ max });
+  }
+
+  async get(key) {
+    return this.entries.get(key) || null;
+  }
+
+  async set(key, entry, ttlMs) {
+    this.entries.set(key, entry, ttlMs);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async acquireLock() {
+    return 'local';
+  }
+
+  async releaseLock() {}
+}
+
+/**
+ * DB2 entry store, shared by all instances
+ * The loader lock is a document "lock:<key>" that only one instance can create
+ * while it is unexpired. It records a random owner token so that an instance whose
+ * lock expired (and was taken over) cannot release the new holder's lock.
+ * Old entries and locks are removed by the TTL index.
+ */
+class MongoCacheStore {
+  async get(key) {
+    const doc = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    return doc ? { value: doc.value, cachedAt: doc.cachedAt.getTime() } : null;
+  }
+
+  async set(key, entry, ttlMs) {
+    await CacheEntry.updateOne(
+      { key },
+      { value: entry.value, cachedAt: new Date(entry.cachedAt), expiresAt: new Date(Date.now() + ttlMs) },
+      { upsert: true }
+    );
+  }
+
+  async delete(key) {
+    await CacheEntry.deleteOne({ key });
+  }
+
+  /**
+   * @returns {Promise<string|null>} - Owner token, null when another instance holds the lock
+   */
+  async acquireLock(key, ttlMs) {
+    const now = new Date();
+    const owner = crypto.randomUUID();
+    try {
+      // Matches a missing or expired lock; an unexpired one makes the upsert hit the unique index
+      await CacheEntry.updateOne(
+        { key: `lock:${key}`, expiresAt: { $lte: now } },
+        { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true }
+      );
+      return owner;
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Release a lock, unless it expired and another instance took it over
+   * @param {string} key
+   * @param {string} owner - Token returned by acquireLock
+   */
+  async releaseLock(key, owner) {
+    await CacheEntry.deleteOne({ key: `lock:${key}`, owner });
+  }
+}
+
+/**
+ * Create the entry store selected by CACHE_STORE
+ */
+function createCacheStore(type = cacheConfig.store) {
+  return type === 'mongo' ? new MongoCacheStore() : new MemoryCacheStore();
+}
+
+/**
+ * Stale-while-revalidate cache
+ * - younger than ttlMs: served from the cache ("hit")
+ * - younger than staleTtlMs: served from the cache and refreshed in the background ("stale")
+ * - missing: loaded and stored ("miss"); refresh forces a load ("refresh")
+ * Loads are coalesced per key: concurrent requests of an instance share one
+ * load, and with a shared store only the lock holder loads while the other
+ * instances wait for its result.
+ */
+class SwrCache {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Key namespace
+   * @param {number} options.ttlMs - Fresh period
+   * @param {number} options.staleTtlMs - Total lifetime of an entry (fresh + stale)
+   * @param {Object} [options.store] - Entry store (see createCacheStore)
+   * @param {number} [options.lockTimeoutMs] - Cross-instance loader lock lifetime
+   */
+  constructor({ name, ttlMs, staleTtlMs, store = createCacheStore(), lockTimeoutMs = cacheConfig.lockTimeoutMs }) {
+    this.name = name;
+    this.ttlMs = ttlMs;
+    this.staleTtlMs = Math.max(staleTtlMs, ttlMs);
+    this.store = store;
+    this.lockTimeoutMs = lockTimeoutMs;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Get a value, loading it when missing or forced
+   * @param {string} key - Cache key (namespaced with the cache name)
+   * @param {Function} loader - async () => value
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Skip the cached entry and reload
+   * @returns {Promise<{value: *, status: string, cachedAt: number}>}
+   */
+  async get(key, loader, { refresh = false } = {}) {
+    const fullKey = `${this.name}:${key}`;
+
+    if (!refresh) {
+      const entry = await this.readEntry(fullKey);
+      if (entry && Date.now() - entry.cachedAt < this.ttlMs) {
+        return { ...entry, status: 'hit' };
+      }
+      if (entry) {
+        this.revalidate(fullKey, loader, entry).catch(error => {
+          logger.error('Cache revalidation error', { cache: this.name, key, error });
+        });
+        return { ...entry, status: 'stale' };
+      }
+    }
+
+    const entry = await this.revalidate(fullKey, loader, null, refresh);
+    return { ...entry, status: refresh ? 'refresh' : 'miss' };
+  }
+
+  /**
+   * Drop an entry
+   */
+  async invalidate(key) {
+    await this.store.delete(`${this.name}:${key}`);
+  }
+
+  /**
+   * Read an entry; store failures count as a miss
+   */
+  async readEntry(fullKey) {
+    try {
+      return await this.store.get(fullKey);
+    } catch (error) {
+      logger.warn('Cache read error', { cache: this.name, key: fullKey, error });
+      return null;
+    }
+  }
+
+  /**
+   * Load once per key in this instance
+   */
+  revalidate(fullKey, loader, previous, force = false) {
+    if (this.inFlight.has(fullKey)) {
+      return this.inFlight.get(fullKey);
+    }
+
+    const promise = this.load(fullKey, loader, previous, force)
+      .finally(() => this.inFlight.delete(fullKey));
+    this.inFlight.set(fullKey, promise);
+    return promise;
+  }
+
+  /**
+   * Load and store a value, unless another instance is already loading it
+   */
+  async load(fullKey, loader, previous, force) {
+    // A failing lock store does not block loads
+    let locked = true;
+    let lockOwner = null;
+    try {
+      lockOwner = await this.store.acquireLock(fullKey, this.lockTimeoutMs);
+      locked = lockOwner !== null;
+    } catch (error) {
+      logger.warn('Cache lock error', { cache: this.name, key: fullKey, error });
+    }
+
+    if (!locked && !force) {
+      // Stale entry: the lock holder refreshes it, keep serving the old one
+      if (previous) {
+        return previous;
+      }
+      const loaded = await this.waitForEntry(fullKey);
+      if (loaded) {
+        return loaded;
+      }
+    }
+
+    try {
+      const entry = { value: await loader(), cachedAt: Date.now() };
+      try {
+        await this.store.set(fullKey, entry, this.staleTtlMs);
+      } catch (error) {
+        logger.warn('Cache write error', { cache: this.name, key: fullKey, error });
+      }
+      return entry;
+    } finally {
+      if (lockOwner) {
+        await this.store.releaseLock(fullKey, lockOwner).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Poll the store until another instance stores the entry (or the lock times out)
+   */
+  async waitForEntry(fullKey) {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+      const entry = await this.readEntry(fullKey);
+      if (entry) {
+        return entry;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = { SwrCache, MemoryCacheStore, MongoCacheStore, createCacheStore };
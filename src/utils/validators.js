@@ -242,6 +242,19 @@ function validateActive(active) {
   throw new Error('Invalid active status: must be "true" or "false"');
 }
 
+/**
+ * Validate a MongoDB ObjectId
+ * @param {string} id - ID from params
+ * @returns {string} - Validated ID
+ */
+function validateObjectId(id) {
+  if (!id || typeof id !== 'string' || !/^[a-f0-9]{24}$/i.test(id)) {
+    throw new Error('Invalid id: must be a 24 character hex string');
+  }
+  
+  return id.toLowerCase();
+}
+
 module.exports = {
   validateCampusId,
   validateLogin,
@@ -253,5 +266,6 @@ module.exports = {
   validateLimit,
   validateSkip,
   validateActive,
-  validateStatus
+  validateStatus,
+  validateObjectId
 };